@@ -0,0 +1,78 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const Worksona = require('../worksona.js');
+
+const agentsDir = path.join(__dirname, '..', 'agents');
+
+function createWorksona() {
+  const worksona = new Worksona({ controlPanel: false, envKeys: false });
+  worksona.on('error', () => {});
+  return worksona;
+}
+
+test('the published schema matches the one loadAgent validates against', () => {
+  const published = JSON.parse(fs.readFileSync(path.join(agentsDir, 'agent.schema.json'), 'utf8'));
+  assert.deepStrictEqual(published, JSON.parse(JSON.stringify(Worksona.agentSchema)));
+});
+
+test('the bundled agent definitions are valid', () => {
+  const worksona = createWorksona();
+  fs.readdirSync(agentsDir)
+    .filter(file => file.endsWith('.json') && !['agent.schema.json', 'bundle.json'].includes(file))
+    .forEach(file => {
+      const { valid, errors } = worksona.validateAgent(JSON.parse(fs.readFileSync(path.join(agentsDir, file), 'utf8')));
+      assert.ok(valid, `${file}: ${JSON.stringify(errors)}`);
+    });
+});
+
+test('misspelled settings are rejected with a hint', async () => {
+  const worksona = createWorksona();
+  const definition = { schemaVersion: 1, id: 'typo', name: 'Typo', config: { provider: 'openai', maxToken: 100 } };
+  const { valid, errors } = worksona.validateAgent(definition);
+  assert.strictEqual(valid, false);
+  assert.deepStrictEqual(errors, [{ path: '$.config.maxToken', message: 'is not an allowed property (did you mean "maxTokens"?)' }]);
+
+  await assert.rejects(worksona.loadAgent(definition), error => {
+    assert.strictEqual(error.code, 'CONFIG_ERROR');
+    assert.deepStrictEqual(error.details, errors);
+    return true;
+  });
+});
+
+test('unversioned definitions are migrated to the current version', async () => {
+  const worksona = createWorksona();
+  const migrations = [];
+  worksona.on('agent-migrated', event => migrations.push(event));
+  const legacy = {
+    name: 'Legacy Bot',
+    provider: 'openai',
+    max_tokens: 200,
+    persona: 'You answer legacy questions.',
+    api: { endpoint: '/legacy' }
+  };
+
+  const { valid, definition } = worksona.validateAgent(legacy);
+  assert.ok(valid);
+  assert.deepStrictEqual(definition, {
+    name: 'Legacy Bot',
+    id: 'legacy-bot',
+    metadata: { api: { endpoint: '/legacy' } },
+    config: { provider: 'openai', maxTokens: 200, systemPrompt: 'You answer legacy questions.' },
+    schemaVersion: Worksona.agentSchemaVersion
+  });
+
+  const agent = await worksona.loadAgent(legacy);
+  assert.strictEqual(agent.id, 'legacy-bot');
+  assert.strictEqual(agent.config.maxTokens, 200);
+  assert.deepStrictEqual(migrations, [{ agentId: 'legacy-bot', from: 0, to: Worksona.agentSchemaVersion }]);
+});
+
+test('definitions from a newer schema version are refused', () => {
+  const { valid, errors } = createWorksona().validateAgent({ schemaVersion: Worksona.agentSchemaVersion + 1, id: 'new', name: 'New' });
+  assert.strictEqual(valid, false);
+  assert.strictEqual(errors[0].path, '$.schemaVersion');
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Worksona = require('../worksona.js');
+
+const originalFetch = globalThis.fetch;
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+let requests;
+
+test.beforeEach(() => {
+  requests = [];
+  globalThis.fetch = async (url) => {
+    requests.push(String(url));
+    const body = String(url).includes('/images/')
+      ? { data: [{ url: 'https://images.example.com/result.png' }] }
+      : { choices: [{ message: { content: 'A red square' } }], usage: { prompt_tokens: 800, completion_tokens: 200, total_tokens: 1000 } };
+    return new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+  };
+});
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+async function createWorksona() {
+  const worksona = new Worksona({ controlPanel: false, envKeys: false, apiKeys: { openai: 'sk-test' } });
+  worksona.on('error', () => {});
+  await worksona.ready;
+  await worksona.loadAgent({
+    id: 'viewer',
+    name: 'Viewer',
+    description: 'Looks at images',
+    config: { provider: 'openai', model: 'gpt-4o', budget: { maxTokens: 1000 } }
+  });
+  return worksona;
+}
+
+test('image analyses are recorded with their token usage', async () => {
+  const worksona = await createWorksona();
+  assert.strictEqual(await worksona.processImage('viewer', PNG, { prompt: 'Describe it' }), 'A red square');
+
+  const [transaction] = worksona.getAgentHistory('viewer');
+  assert.strictEqual(transaction.type, 'image-analysis');
+  assert.strictEqual(transaction.status, 'success');
+  assert.strictEqual(transaction.query, 'Describe it');
+  assert.deepStrictEqual(transaction.usage, { promptTokens: 800, completionTokens: 200, totalTokens: 1000 });
+  assert.strictEqual(worksona.getUsage().totalTokens, 1000);
+});
+
+test('an exhausted budget blocks image analysis and generation', async () => {
+  const worksona = await createWorksona();
+  await worksona.processImage('viewer', PNG);
+  requests = [];
+
+  const exceeded = error => error.code === 'BUDGET_EXCEEDED';
+  await assert.rejects(worksona.processImage('viewer', PNG), exceeded);
+  await assert.rejects(worksona.generateImage('viewer', 'a red square'), exceeded);
+  assert.deepStrictEqual(requests, []);
+});
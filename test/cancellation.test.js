@@ -0,0 +1,117 @@
+'use strict';
+
+// Non-streaming provider calls must honour options.signal, timeoutMs and
+// cancelAll(), including while waiting to retry.
+const test = require('node:test');
+const assert = require('node:assert');
+const Worksona = require('../worksona.js');
+
+const originalFetch = globalThis.fetch;
+let calls;
+
+// A provider that never answers; the request only ends when it is aborted
+const hangingFetch = (url, init = {}) => {
+  calls.push(init);
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve(new Response('{}', { status: 200 })), 3000);
+    if (init.signal) {
+      init.signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(init.signal.reason);
+      }, { once: true });
+    }
+  });
+};
+
+async function createWorksona(options = {}) {
+  const worksona = new Worksona({ controlPanel: false, envKeys: false, apiKeys: { openai: 'sk-test' }, ...options });
+  worksona.on('error', () => {});
+  await worksona.ready;
+  await worksona.loadAgent({ id: 'a', name: 'A', description: 'Cancellation test agent', config: { provider: 'openai', model: 'gpt-4o' } });
+  return worksona;
+}
+
+test.beforeEach(() => {
+  calls = [];
+  globalThis.fetch = hangingFetch;
+});
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('timeoutMs aborts a hung chat request', async () => {
+  const worksona = await createWorksona();
+  const startTime = Date.now();
+  await assert.rejects(worksona.chat('a', 'hi', { timeoutMs: 200 }), error => error.code === 'TIMEOUT');
+  assert.ok(Date.now() - startTime < 1500);
+  assert.ok(calls[0].signal instanceof AbortSignal);
+  assert.strictEqual(worksona.getAgentHistory('a').at(-1).status, 'timeout');
+});
+
+test('options.signal cancels chat and processImage', async () => {
+  const worksona = await createWorksona();
+  const controller = new AbortController();
+  const chat = worksona.chat('a', 'hi', { signal: controller.signal });
+  const image = worksona.processImage('a', 'https://example.com/cat.png', { signal: controller.signal });
+  setTimeout(() => controller.abort(), 50);
+  const startTime = Date.now();
+  await assert.rejects(chat, error => error.code === 'CANCELLED');
+  await assert.rejects(image, error => error.code === 'CANCELLED');
+  assert.ok(Date.now() - startTime < 1000);
+  assert.strictEqual(worksona.getAgentHistory('a').at(-1).status, 'cancelled');
+});
+
+test('cancelAll aborts in-flight chat and image generation', async () => {
+  const worksona = await createWorksona();
+  const chat = worksona.chat('a', 'hi');
+  const image = worksona.generateImage('a', 'a cat');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const startTime = Date.now();
+  assert.strictEqual(worksona.cancelAll('a'), 2);
+  await assert.rejects(chat, error => error.code === 'CANCELLED');
+  await assert.rejects(image, error => error.code === 'CANCELLED');
+  assert.ok(Date.now() - startTime < 1000);
+  assert.deepStrictEqual(worksona.getAgentHistory('a').map(transaction => transaction.status), ['cancelled', 'cancelled']);
+});
+
+test('cancelling interrupts the wait before a retry', async () => {
+  globalThis.fetch = async init => {
+    calls.push(init);
+    return new Response('{"error":{"message":"busy"}}', { status: 503, headers: { 'retry-after': '30' } });
+  };
+  const worksona = await createWorksona();
+  const chat = worksona.chat('a', 'hi', { retry: { maxAttempts: 3 } });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const startTime = Date.now();
+  worksona.cancelAll('a');
+  await assert.rejects(chat, error => error.code === 'CANCELLED');
+  assert.ok(Date.now() - startTime < 1000);
+  assert.strictEqual(calls.length, 1);
+});
+
+test('image analyses record cancelled and timed-out outcomes', async () => {
+  const worksona = await createWorksona();
+  await assert.rejects(worksona.extractImageText('a', 'https://example.com/receipt.png', { timeoutMs: 100 }), error => error.code === 'TIMEOUT');
+  const analysis = worksona.analyzeImage('a', 'https://example.com/cat.png');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  worksona.cancelAll('a');
+  await assert.rejects(analysis, error => error.code === 'CANCELLED');
+
+  assert.deepStrictEqual(
+    worksona.getAgentHistory('a').map(transaction => [transaction.type, transaction.status]),
+    [['image-analysis', 'timeout'], ['image-analysis', 'cancelled']]
+  );
+  assert.strictEqual(worksona.getAgentHistory('a')[1].error, null);
+});
+
+test('a cancelled call emits a single error event', async () => {
+  const worksona = await createWorksona();
+  const errors = [];
+  worksona.on('error', error => errors.push(error.code));
+  const chat = worksona.chat('a', 'hi');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  worksona.cancelAll('a');
+  await assert.rejects(chat, error => error.code === 'CANCELLED');
+  assert.deepStrictEqual(errors, ['CANCELLED']);
+});
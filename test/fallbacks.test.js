@@ -0,0 +1,70 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Worksona = require('../worksona.js');
+
+const originalFetch = globalThis.fetch;
+let requests;
+let openaiStatus;
+
+const json = (status, body) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+test.beforeEach(() => {
+  requests = [];
+  openaiStatus = 503;
+  globalThis.fetch = async (url, init) => {
+    const { model } = JSON.parse(init.body);
+    requests.push(`${new URL(url).hostname}/${model}`);
+    if (String(url).includes('openai')) {
+      return json(openaiStatus, { error: { message: `OpenAI returned ${openaiStatus}` } });
+    }
+    return json(200, { content: [{ type: 'text', text: 'from Claude' }], usage: { input_tokens: 1, output_tokens: 1 } });
+  };
+});
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+async function createWorksona(fallbacks) {
+  const worksona = new Worksona({
+    controlPanel: false,
+    envKeys: false,
+    apiKeys: { openai: 'sk-test', anthropic: 'sk-ant-test' },
+    retry: { maxAttempts: 1 }
+  });
+  worksona.on('error', () => {});
+  await worksona.ready;
+  await worksona.loadAgent({ id: 'a', name: 'A', description: 'Fallback test agent', config: { provider: 'openai', model: 'gpt-4o', fallbacks } });
+  return worksona;
+}
+
+test('an outage fails over to the next provider in the chain', async () => {
+  const worksona = await createWorksona(['anthropic/claude-3-5-sonnet-20241022']);
+  const switches = [];
+  worksona.on('provider-fallback', event => switches.push([event.from.provider, event.to.provider, event.to.model]));
+
+  assert.strictEqual(await worksona.chat('a', 'hi'), 'from Claude');
+  assert.deepStrictEqual(requests, ['api.openai.com/gpt-4o', 'api.anthropic.com/claude-3-5-sonnet-20241022']);
+  assert.deepStrictEqual(switches, [['openai', 'anthropic', 'claude-3-5-sonnet-20241022']]);
+
+  const [transaction] = worksona.getAgentHistory('a');
+  assert.strictEqual(transaction.provider, 'anthropic');
+  assert.strictEqual(transaction.model, 'claude-3-5-sonnet-20241022');
+  assert.deepStrictEqual(transaction.fallbacks.map(entry => entry.provider), ['openai']);
+  assert.strictEqual(worksona.getAgent('a').state.currentProvider, 'anthropic');
+});
+
+test('providers without an API key are skipped and bare names use the default model', async () => {
+  const worksona = await createWorksona(['google/gemini-1.5-pro', { provider: 'anthropic' }]);
+  assert.strictEqual(await worksona.chat('a', 'hi'), 'from Claude');
+  assert.deepStrictEqual(requests, ['api.openai.com/gpt-4o', 'api.anthropic.com/claude-3-opus-20240229']);
+});
+
+test('request errors do not fail over', async () => {
+  openaiStatus = 400;
+  const worksona = await createWorksona(['anthropic']);
+  await assert.rejects(worksona.chat('a', 'hi'));
+  assert.deepStrictEqual(requests, ['api.openai.com/gpt-4o']);
+});
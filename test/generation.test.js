@@ -0,0 +1,105 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Worksona = require('../worksona.js');
+
+const originalFetch = globalThis.fetch;
+let bodies;
+
+const json = body => new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+
+test.beforeEach(() => {
+  bodies = [];
+  globalThis.fetch = async (url, init) => {
+    bodies.push(JSON.parse(init.body));
+    if (String(url).includes('openai')) return json({ choices: [{ message: { content: '{"ok":true}' } }], usage: {} });
+    if (String(url).includes('anthropic')) return json({ content: [{ type: 'text', text: 'hi' }], usage: {} });
+    return json({ candidates: [{ content: { parts: [{ text: 'hi' }] } }] });
+  };
+});
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+async function createWorksona(config) {
+  const worksona = new Worksona({ controlPanel: false, envKeys: false, apiKeys: { openai: 'sk-test', anthropic: 'sk-ant-test', google: 'g-key' } });
+  await worksona.ready;
+  await worksona.loadAgent({ id: 'a', name: 'A', description: 'Generation test agent', config: { systemPrompt: 'sys', ...config } });
+  return worksona;
+}
+
+test('OpenAI keeps zero values and omits settings that are not set', async () => {
+  const worksona = await createWorksona({ provider: 'openai', model: 'gpt-4o', temperature: 0, seed: 0 });
+
+  await worksona.chat('a', 'hi');
+
+  const [body] = bodies;
+  assert.strictEqual(body.temperature, 0);
+  assert.strictEqual(body.seed, 0);
+  assert.strictEqual(body.max_tokens, 500);
+  ['top_p', 'frequency_penalty', 'presence_penalty', 'stop', 'response_format'].forEach(key => assert.ok(!(key in body), key));
+});
+
+test('per-call options override the agent config', async () => {
+  const worksona = await createWorksona({ provider: 'openai', model: 'gpt-4o', temperature: 0.3 });
+
+  await worksona.chat('a', 'hi', { temperature: 1.2, maxTokens: 50, stop: 'END', jsonMode: true, presencePenalty: 0 });
+
+  const [body] = bodies;
+  assert.strictEqual(body.temperature, 1.2);
+  assert.strictEqual(body.max_tokens, 50);
+  assert.deepStrictEqual(body.stop, ['END']);
+  assert.strictEqual(body.presence_penalty, 0);
+  assert.deepStrictEqual(body.response_format, { type: 'json_object' });
+  assert.match(body.messages[0].content, /Respond with only a valid JSON object\.$/);
+});
+
+test('Anthropic maps top_k and stop sequences and never sends a seed', async () => {
+  const worksona = await createWorksona({ provider: 'anthropic', model: 'claude-3-5-sonnet-latest' });
+
+  await worksona.chat('a', 'hi');
+  assert.ok(!('top_p' in bodies[0]) && !('top_k' in bodies[0]) && !('stop_sequences' in bodies[0]));
+  assert.strictEqual(bodies[0].temperature, 0.7);
+
+  await worksona.chat('a', 'hi', { topK: 5, stop: ['x', 'y'], jsonMode: true, temperature: 0, seed: 3 });
+  const body = bodies[1];
+  assert.strictEqual(body.top_k, 5);
+  assert.deepStrictEqual(body.stop_sequences, ['x', 'y']);
+  assert.strictEqual(body.temperature, 0);
+  assert.strictEqual(body.system, 'sys\n\nRespond with only a valid JSON object.');
+  assert.ok(!('seed' in body));
+});
+
+test('Google sends safety settings only when asked and maps generation options', async () => {
+  const worksona = await createWorksona({ provider: 'google', model: 'gemini-1.5-pro', topP: 0 });
+
+  await worksona.chat('a', 'hi');
+  assert.ok(!('safetySettings' in bodies[0]));
+  assert.strictEqual(bodies[0].generationConfig.topP, 0);
+
+  await worksona.chat('a', 'hi', { safety: 'none', seed: 9, stop: 'Z', jsonMode: true });
+  const { safetySettings, generationConfig } = bodies[1];
+  assert.strictEqual(safetySettings.length, 4);
+  assert.ok(safetySettings.every(setting => setting.threshold === 'BLOCK_NONE'));
+  assert.strictEqual(generationConfig.seed, 9);
+  assert.deepStrictEqual(generationConfig.stopSequences, ['Z']);
+  assert.strictEqual(generationConfig.responseMimeType, 'application/json');
+
+  await worksona.chat('a', 'hi', { safety: { harassment: 'high', dangerousContent: 'low' } });
+  assert.deepStrictEqual(bodies[2].safetySettings, [
+    { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_ONLY_HIGH' },
+    { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_LOW_AND_ABOVE' }
+  ]);
+});
+
+test('the agent schema accepts generation settings and rejects unknown safety levels', async () => {
+  const worksona = await createWorksona({ provider: 'google', model: 'gemini-1.5-pro' });
+  const definition = config => ({ id: 'v', name: 'V', description: 'd', config: { provider: 'google', ...config } });
+
+  assert.ok(worksona.validateAgent(definition({ seed: 1, stop: ['a'], jsonMode: true, safety: 'medium' })).valid);
+  assert.ok(worksona.validateAgent(definition({ safety: { harassment: 'none' } })).valid);
+  assert.ok(!worksona.validateAgent(definition({ safety: 'strict' })).valid);
+  assert.ok(!worksona.validateAgent(definition({ safety: { violence: 'none' } })).valid);
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+// Headless mode: Worksona must run under Node.js without touching any DOM or
+// browser storage global. Each one is trapped to throw (and be recorded)
+// before worksona.js is loaded.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const touched = [];
+['document', 'window', 'localStorage'].forEach(name => {
+  Object.defineProperty(globalThis, name, {
+    configurable: true,
+    get() {
+      touched.push(name);
+      throw new Error(`DOM global accessed: ${name}`);
+    }
+  });
+});
+
+const Worksona = require('../worksona.js');
+
+const agent = {
+  id: 'headless',
+  name: 'Headless',
+  description: 'Agent used by the headless tests',
+  config: { provider: 'mock', model: 'mock', systemPrompt: 'You are terse.' }
+};
+
+async function converse(WorksonaClass) {
+  const worksona = new WorksonaClass({ controlPanel: false, envKeys: false, mock: { responses: ['Hello from the mock'] } });
+  await worksona.ready;
+  await worksona.loadAgent(agent);
+  const response = await worksona.chat('headless', 'Hi');
+  worksona.removeAgent('headless');
+  return response;
+}
+
+test('loads, constructs, loads an agent and chats from CommonJS', async () => {
+  assert.strictEqual(await converse(Worksona), 'Hello from the mock');
+  assert.deepStrictEqual(touched, []);
+});
+
+test('exposes the same class from the ES module entry point', async () => {
+  const module = await import('../worksona.mjs');
+  assert.strictEqual(module.default, Worksona);
+  assert.strictEqual(module.Worksona, Worksona);
+  assert.strictEqual(await converse(module.default), 'Hello from the mock');
+  assert.deepStrictEqual(touched, []);
+});
+
+test('exports the Agent class the type declarations describe', () => {
+  const instance = new Worksona.Agent(agent);
+  assert.strictEqual(instance.id, 'headless');
+  assert.strictEqual(instance.getMetrics().totalQueries, 0);
+  assert.deepStrictEqual(touched, []);
+});
+
+test('streams and updates history without a control panel', async () => {
+  const worksona = new Worksona({ controlPanel: false, envKeys: false, mock: { responses: ['one two three'] } });
+  await worksona.loadAgent(agent);
+  let text = '';
+  for await (const delta of worksona.chatStream('headless', 'Hi')) text += delta;
+  assert.strictEqual(text, 'one two three');
+  assert.strictEqual(worksona.getAgentHistory('headless').length, 1);
+  worksona.updateControlPanel();
+  assert.deepStrictEqual(touched, []);
+});
+
+test('reads provider keys from the environment', async () => {
+  process.env.OPENAI_API_KEY = 'sk-test-environment';
+  try {
+    const worksona = new Worksona({ controlPanel: false });
+    await worksona.ready;
+    assert.ok(worksona.providers.openai);
+    assert.ok(!worksona.providers.anthropic || process.env.ANTHROPIC_API_KEY);
+  } finally {
+    delete process.env.OPENAI_API_KEY;
+  }
+  assert.deepStrictEqual(touched, []);
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Worksona = require('../worksona.js');
+
+const originalFetch = globalThis.fetch;
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+const box = { x: 0.1, y: 0.2, width: 0.3, height: 0.1 };
+let worksona;
+
+test.beforeEach(async () => {
+  worksona = new Worksona({ controlPanel: false, envKeys: false, mock: true });
+  worksona.on('error', () => {});
+  await worksona.ready;
+  await worksona.loadAgent({ id: 'viewer', name: 'Viewer', description: 'Looks at images', config: { provider: 'mock', model: 'mock' } });
+});
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('extractImageText returns the text and its blocks', async () => {
+  worksona.mockResponses(JSON.stringify({ text: 'HELLO\nWORLD', blocks: [{ text: 'HELLO', confidence: 0.9, boundingBox: box }, { text: 'WORLD', confidence: 0.8, boundingBox: box }] }));
+
+  const result = await worksona.extractImageText('viewer', PNG, { prompt: 'Receipt only.' });
+
+  assert.strictEqual(result.text, 'HELLO\nWORLD');
+  assert.strictEqual(result.blocks.length, 2);
+  const call = worksona.getMockCalls().at(-1);
+  assert.match(call.message, /^Extract all legible text[\s\S]*Receipt only\.$/);
+  assert.strictEqual(call.images.length, 1);
+});
+
+test('detectImageObjects sorts objects by confidence and asks for the given labels', async () => {
+  worksona.mockResponses('```json\n' + JSON.stringify({ objects: [{ label: 'cat', confidence: 0.4, boundingBox: box }, { label: 'dog', confidence: 0.95, boundingBox: box }] }) + '\n```');
+
+  const result = await worksona.detectImageObjects('viewer', PNG, { labels: ['cat', 'dog'] });
+
+  assert.deepStrictEqual(result.objects.map(object => object.label), ['dog', 'cat']);
+  assert.ok(worksona.getMockCalls().at(-1).message.includes('cat, dog'));
+});
+
+test('classifyImage keeps the top labels from the allowed categories', async () => {
+  worksona.mockResponses(JSON.stringify({ labels: [{ label: 'indoor', confidence: 0.2 }, { label: 'outdoor', confidence: 0.7 }] }));
+
+  const result = await worksona.classifyImage('viewer', PNG, { categories: ['indoor', 'outdoor'], maxLabels: 1 });
+
+  assert.deepStrictEqual(result, { label: 'outdoor', confidence: 0.7, labels: [{ label: 'outdoor', confidence: 0.7 }] });
+});
+
+test('replies that break the schema fail with SCHEMA_VALIDATION_ERROR', async () => {
+  const events = [];
+  worksona.on('image-classification-error', () => events.push('image-classification-error'));
+
+  worksona.mockResponses(JSON.stringify({ labels: [{ label: 'space', confidence: 0.5 }] }));
+  await assert.rejects(
+    worksona.classifyImage('viewer', PNG, { categories: ['indoor', 'outdoor'] }),
+    error => error.code === 'SCHEMA_VALIDATION_ERROR' && error.details.length > 0
+  );
+
+  worksona.mockResponses(JSON.stringify({ objects: [{ label: 'cat', confidence: 1, boundingBox: { ...box, x: 4 } }] }));
+  await assert.rejects(worksona.detectImageObjects('viewer', PNG), error => error.code === 'SCHEMA_VALIDATION_ERROR');
+
+  worksona.mockResponses('I see a cat');
+  await assert.rejects(worksona.extractImageText('viewer', PNG), error => error.code === 'SCHEMA_VALIDATION_ERROR');
+
+  assert.deepStrictEqual(events, ['image-classification-error']);
+});
+
+test('OpenAI receives the task schema as a json_schema response format', async () => {
+  const bodies = [];
+  globalThis.fetch = async (url, init) => {
+    bodies.push(JSON.parse(init.body));
+    return new Response(JSON.stringify({ choices: [{ message: { content: '{"labels":[{"label":"cat","confidence":0.9}]}' } }], usage: {} }), { status: 200 });
+  };
+  const openai = new Worksona({ controlPanel: false, envKeys: false, apiKeys: { openai: 'sk-test' } });
+  await openai.ready;
+  await openai.loadAgent({ id: 'viewer', name: 'Viewer', description: 'Looks at images', config: { provider: 'openai', model: 'gpt-4o' } });
+
+  assert.strictEqual((await openai.classifyImage('viewer', PNG)).label, 'cat');
+  assert.strictEqual(bodies[0].response_format.type, 'json_schema');
+  assert.strictEqual(bodies[0].response_format.json_schema.name, 'image_classification');
+});
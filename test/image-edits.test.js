@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Worksona = require('../worksona.js');
+
+const originalFetch = globalThis.fetch;
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+const B64 = PNG.toString('base64');
+let requests;
+
+test.beforeEach(() => {
+  requests = [];
+  globalThis.fetch = async (url, init = {}) => {
+    url = String(url);
+    if (url === 'https://images.example.com/source.png') {
+      return new Response(PNG, { status: 200, headers: { 'Content-Type': 'image/png' } });
+    }
+    requests.push({ url, init });
+    const body = init.body instanceof FormData ? Object.fromEntries(init.body.entries()) : JSON.parse(init.body);
+    const data = Array.from({ length: Number(body.n) || 1 }, (_, index) =>
+      body.response_format === 'b64_json' ? { b64_json: B64 } : { url: `https://images.example.com/${index}.png` });
+    return new Response(JSON.stringify({ created: 1, data }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+  };
+});
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+async function createWorksona() {
+  const worksona = new Worksona({ controlPanel: false, envKeys: false, apiKeys: { openai: 'sk-test' } });
+  worksona.on('error', () => {});
+  await worksona.ready;
+  await worksona.loadAgent({ id: 'artist', name: 'Artist', description: 'Makes images', config: { provider: 'openai', model: 'gpt-4o' } });
+  return worksona;
+}
+
+test('editImage sends the image, mask and prompt as multipart form data', async () => {
+  const worksona = await createWorksona();
+
+  const edited = await worksona.editImage('artist', B64, 'add a hat', { mask: new Blob([PNG], { type: 'image/png' }), n: 3 });
+
+  assert.deepStrictEqual(edited, ['https://images.example.com/0.png', 'https://images.example.com/1.png', 'https://images.example.com/2.png']);
+  const { url, init } = requests[0];
+  assert.ok(url.endsWith('/v1/images/edits'));
+  assert.ok(init.body instanceof FormData);
+  const headers = new Headers(init.headers);
+  assert.strictEqual(headers.get('content-type'), null);
+  assert.strictEqual(headers.get('authorization'), 'Bearer sk-test');
+  const image = init.body.get('image');
+  assert.strictEqual(image.type, 'image/png');
+  assert.strictEqual(image.size, PNG.length);
+  assert.strictEqual(init.body.get('mask').size, PNG.length);
+  assert.strictEqual(init.body.get('prompt'), 'add a hat');
+  assert.strictEqual(init.body.get('n'), '3');
+  assert.strictEqual(init.body.get('size'), '1024x1024');
+});
+
+test('variationImage accepts buffers and URLs and sends no prompt or mask', async () => {
+  const worksona = await createWorksona();
+
+  assert.strictEqual(await worksona.variationImage('artist', PNG, { response_format: 'b64_json' }), `data:image/png;base64,${B64}`);
+  assert.ok(requests[0].url.endsWith('/v1/images/variations'));
+  assert.strictEqual(requests[0].init.body.get('prompt'), null);
+  assert.strictEqual(requests[0].init.body.get('mask'), null);
+
+  await worksona.variationImage('artist', 'https://images.example.com/source.png');
+  assert.strictEqual(requests[1].init.body.get('image').size, PNG.length);
+});
+
+test('generateImage returns every image when more than one is requested', async () => {
+  const worksona = await createWorksona();
+
+  assert.strictEqual(await worksona.generateImage('artist', 'a cat'), 'https://images.example.com/0.png');
+  assert.deepStrictEqual(await worksona.generateImage('artist', 'a cat', { n: 2 }), ['https://images.example.com/0.png', 'https://images.example.com/1.png']);
+});
+
+test('imageToBlob and imageToFile convert data URLs, base64 and buffers', async () => {
+  const worksona = await createWorksona();
+
+  const blob = await worksona.imageToBlob(`data:image/png;base64,${B64}`);
+  assert.strictEqual(blob.type, 'image/png');
+  assert.deepStrictEqual(Buffer.from(await blob.arrayBuffer()), PNG);
+  const file = await worksona.imageToFile(B64);
+  assert.strictEqual(file.name, 'image.png');
+  assert.strictEqual(file.size, PNG.length);
+  assert.strictEqual((await worksona.imageToFile(PNG, 'photo.png')).name, 'photo.png');
+
+  await assert.rejects(worksona.editImage('artist', 'not base64!', 'add a hat'), error => error.code === 'IMAGE_EDIT_ERROR');
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Worksona = require('../worksona.js');
+
+const originalFetch = globalThis.fetch;
+const B64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+let requests;
+
+const json = body => new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+
+test.beforeEach(() => {
+  requests = [];
+  globalThis.fetch = async (url, init = {}) => {
+    url = String(url);
+    const body = JSON.parse(init.body);
+    requests.push({ url, body });
+    if (url.includes(':predict')) {
+      return json({ predictions: [{ bytesBase64Encoded: B64, mimeType: 'image/png', prompt: 'an enhanced cat' }, { raiFilteredReason: 'blocked' }] });
+    }
+    if (body.model === 'gpt-image-1') {
+      return json({ data: Array.from({ length: body.n }, () => ({ b64_json: B64 })), output_format: body.output_format || 'png' });
+    }
+    return json({ data: Array.from({ length: body.n }, (_, index) => ({
+      url: `https://images.example.com/${index}.png`,
+      ...(body.model === 'dall-e-3' && { revised_prompt: 'A fluffy cat, photo' })
+    })) });
+  };
+});
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+async function createWorksona(config) {
+  const worksona = new Worksona({ controlPanel: false, envKeys: false, apiKeys: { openai: 'sk-test', google: 'g-key', anthropic: 'sk-ant-test' } });
+  worksona.on('error', () => {});
+  await worksona.ready;
+  await worksona.loadAgent({ id: 'artist', name: 'Artist', description: 'Makes images', config });
+  return worksona;
+}
+
+test('agents without an image model keep using DALL-E 2', async () => {
+  const worksona = await createWorksona({ provider: 'openai', model: 'gpt-4o' });
+
+  assert.strictEqual(await worksona.generateImage('artist', 'a cat'), 'https://images.example.com/0.png');
+  assert.deepStrictEqual(requests[0].body, { prompt: 'a cat', model: 'dall-e-2', n: 1, size: '1024x1024', response_format: 'url', user: 'artist' });
+});
+
+test('DALL-E 3 gets its own options and records revised prompts', async () => {
+  const worksona = await createWorksona({
+    provider: 'openai',
+    model: 'gpt-4o',
+    imageModel: 'dall-e-3',
+    imageOptions: { quality: 'hd', style: 'natural', background: 'transparent' }
+  });
+  const completes = [];
+  worksona.on('image-generation-complete', data => completes.push(data));
+
+  await worksona.generateImage('artist', 'a cat', { size: '1792x1024' });
+
+  const { body } = requests[0];
+  assert.strictEqual(body.model, 'dall-e-3');
+  assert.strictEqual(body.quality, 'hd');
+  assert.strictEqual(body.style, 'natural');
+  assert.strictEqual(body.size, '1792x1024');
+  assert.ok(!('background' in body));
+  assert.deepStrictEqual(completes[0].revisedPrompts, ['A fluffy cat, photo']);
+  const [record] = worksona.getImageHistory('artist');
+  assert.strictEqual(record.type, 'image-generation');
+  assert.strictEqual(record.model, 'dall-e-3');
+  assert.deepStrictEqual(record.images, ['https://images.example.com/0.png']);
+});
+
+test('GPT Image returns base64 images without storing them in the log', async () => {
+  const worksona = await createWorksona({ provider: 'openai', model: 'gpt-4o', imageModel: 'dall-e-3' });
+
+  const images = await worksona.generateImage('artist', 'a cat', { model: 'gpt-image-1', n: 2, output_format: 'webp' });
+
+  assert.deepStrictEqual(images, [`data:image/webp;base64,${B64}`, `data:image/webp;base64,${B64}`]);
+  assert.ok(!('response_format' in requests[0].body));
+  assert.ok(!JSON.stringify(worksona.getImageHistory('artist')).includes(B64));
+});
+
+test('Google agents generate with Imagen', async () => {
+  const worksona = await createWorksona({ provider: 'google', model: 'gemini-1.5-pro', imageOptions: { aspectRatio: '16:9' } });
+
+  const images = await worksona.generateImage('artist', 'a cat', { n: 2, enhancePrompt: true });
+
+  assert.deepStrictEqual(images, [`data:image/png;base64,${B64}`]);
+  assert.ok(requests[0].url.includes('/models/imagen-3.0-generate-002:predict'));
+  assert.deepStrictEqual(requests[0].body, { instances: [{ prompt: 'a cat' }], parameters: { sampleCount: 2, aspectRatio: '16:9', enhancePrompt: true } });
+  assert.deepStrictEqual(worksona.getImageHistory('artist')[0].revisedPrompts, ['an enhanced cat']);
+});
+
+test('providers without image generation fail and the attempt is logged', async () => {
+  const worksona = await createWorksona({ provider: 'anthropic', model: 'claude-3-5-sonnet-latest' });
+
+  await assert.rejects(worksona.generateImage('artist', 'a cat'), error => error.code === 'IMAGE_GENERATION_ERROR');
+  const [failed] = worksona.getImageHistory('artist');
+  assert.strictEqual(failed.type, 'image-generation');
+  assert.ok(failed.error);
+  assert.strictEqual(requests.length, 0);
+});
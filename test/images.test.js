@@ -0,0 +1,50 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Worksona = require('../worksona.js');
+
+const originalFetch = globalThis.fetch;
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+let requests;
+
+test.beforeEach(() => {
+  requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url: String(url), body: init.body });
+    return new Response(JSON.stringify({ data: [{ url: 'https://images.example.com/result.png' }] }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  };
+});
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+async function createWorksona(imageModel) {
+  const worksona = new Worksona({ controlPanel: false, envKeys: false, apiKeys: { openai: 'sk-test' } });
+  await worksona.ready;
+  await worksona.loadAgent({ id: 'artist', name: 'Artist', description: 'Makes images', config: { provider: 'openai', model: 'gpt-4o', imageModel } });
+  return worksona;
+}
+
+test('edits and variations log the model the endpoint was sent', async () => {
+  const worksona = await createWorksona('dall-e-3');
+  await worksona.editImage('artist', PNG, 'add a hat');
+  await worksona.variationImage('artist', PNG);
+
+  requests.forEach(request => assert.strictEqual(request.body.get('model'), 'dall-e-2'));
+  assert.deepStrictEqual(
+    worksona.getImageHistory('artist').map(transaction => [transaction.type, transaction.model]),
+    [['image-edit', 'dall-e-2'], ['image-variation', 'dall-e-2']]
+  );
+});
+
+test('generations log the configured model', async () => {
+  const worksona = await createWorksona('dall-e-3');
+  await worksona.generateImage('artist', 'a cat in a hat');
+  assert.strictEqual(JSON.parse(requests[0].body).model, 'dall-e-3');
+  assert.strictEqual(worksona.getImageHistory('artist')[0].model, 'dall-e-3');
+});
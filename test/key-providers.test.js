@@ -0,0 +1,130 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Worksona = require('../worksona.js');
+
+const KEY = 'sk-test-1234567890abcdefXYZ';
+const originalFetch = globalThis.fetch;
+
+const json = (status, body) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+const createStore = () => {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+};
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('API keys are redacted from errors, events and debug logs', async t => {
+  const logs = [];
+  t.mock.method(console, 'log', message => logs.push(String(message)));
+  t.mock.method(console, 'error', message => logs.push(String(message)));
+  globalThis.fetch = async () => json(401, { error: { message: `Incorrect API key provided: ${KEY}` } });
+
+  const worksona = new Worksona({ controlPanel: false, envKeys: false, debug: true, apiKeys: { openai: KEY }, retry: { maxAttempts: 1 } });
+  const emitted = [];
+  worksona.on('error', error => emitted.push(error));
+  await worksona.ready;
+  await worksona.loadAgent({ id: 'a', name: 'A', config: { provider: 'openai', model: 'gpt-4o' } });
+
+  await assert.rejects(worksona.chat('a', 'hi'), error => {
+    assert.ok(!JSON.stringify(error.message).includes(KEY));
+    assert.ok(!String(error.originalError && error.originalError.message).includes(KEY));
+    return true;
+  });
+  assert.ok(emitted.length > 0);
+  assert.ok(emitted.every(error => !JSON.stringify({ message: error.message, details: error.details }).includes(KEY)));
+  assert.ok(logs.length > 0);
+  assert.ok(logs.every(line => !line.includes(KEY)), logs.join('\n'));
+});
+
+test('session keys persist through setApiKeys and clear with clearApiKeys', async () => {
+  const store = createStore();
+  const first = new Worksona({ controlPanel: false, envKeys: false, keyProviderOptions: { store } });
+  await first.ready;
+  const updates = [];
+  first.on('api-keys-updated', data => updates.push(data));
+
+  await first.setApiKeys({ anthropic: 'sk-ant-REDACTED' });
+  assert.deepStrictEqual(updates, [{ providers: ['anthropic'] }]);
+  assert.ok(first.providers.anthropic);
+
+  const second = new Worksona({ controlPanel: false, envKeys: false, apiKeys: { openai: 'sk-explicit' }, keyProviderOptions: { store } });
+  await second.ready;
+  assert.strictEqual(second.options.apiKeys.anthropic, 'sk-ant-REDACTED');
+
+  await second.setApiKeys({ anthropic: '' });
+  assert.strictEqual(store.getItem('worksona:api-keys'), '{}');
+  assert.ok(!second.providers.anthropic);
+  assert.ok(second.providers.openai);
+
+  await second.clearApiKeys();
+  assert.ok(!second.providers.openai);
+});
+
+test('the encrypted provider stores ciphertext and needs the passphrase', async () => {
+  const storage = Worksona.storageAdapters.memory();
+  const options = { controlPanel: false, envKeys: false, keyProvider: 'encrypted', keyProviderOptions: { storage, iterations: 1000 } };
+
+  const first = new Worksona(options);
+  first.on('error', () => {});
+  await first.ready;
+  assert.strictEqual(first.keyProvider.locked, true);
+  await assert.rejects(first.setApiKeys({ openai: 'sk-zzzzzzzzzzzzzzzzzzzzzz' }), error => error.code === 'KEY_ERROR');
+  await first.unlockKeys('correct horse');
+  await first.setApiKeys({ openai: 'sk-zzzzzzzzzzzzzzzzzzzzzz' });
+  const record = await storage.get('api-keys');
+  assert.ok(record.data);
+  assert.ok(!JSON.stringify(record).includes('zzzz'));
+
+  const second = new Worksona(options);
+  second.on('error', () => {});
+  await second.ready;
+  assert.ok(!second.providers.openai);
+  await assert.rejects(second.unlockKeys('wrong'), error => error.code === 'KEY_ERROR' && /Wrong passphrase/.test(error.message));
+  await second.unlockKeys('correct horse');
+  assert.ok(second.providers.openai);
+
+  second.lockKeys();
+  assert.ok(second.keyProvider.locked);
+  assert.ok(!second.providers.openai);
+});
+
+test('the proxy provider rewrites requests and authenticates with a cached token', async () => {
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url, init });
+    if (url === 'https://app.test/token') {
+      return json(200, { token: 'tok-1', expiresIn: 600 });
+    }
+    return json(200, { choices: [{ message: { content: 'proxied' } }], usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 } });
+  };
+
+  const worksona = new Worksona({
+    controlPanel: false,
+    envKeys: false,
+    keyProvider: 'proxy',
+    keyProviderOptions: { url: 'https://app.test/llm/', tokenUrl: 'https://app.test/token' }
+  });
+  await worksona.ready;
+  assert.ok(worksona.providers.openai && worksona.providers.google);
+  await worksona.loadAgent({ id: 'a', name: 'A', config: { provider: 'openai', model: 'gpt-4o' } });
+
+  assert.strictEqual(await worksona.chat('a', 'hi'), 'proxied');
+  await worksona.chat('a', 'again');
+  assert.strictEqual(calls.filter(call => call.url === 'https://app.test/token').length, 1);
+  const call = calls.find(call => call.url.startsWith('https://app.test/llm'));
+  assert.strictEqual(call.url, 'https://app.test/llm/openai/v1/chat/completions');
+  assert.strictEqual(call.init.headers.get('authorization'), 'Bearer tok-1');
+
+  const google = await worksona.keyProvider.prepareRequest('google', 'https://generativelanguage.googleapis.com/v1/models/x:generateContent?key=proxy&alt=sse', { headers: { 'x-api-key': 'a' } });
+  assert.strictEqual(google.url, 'https://app.test/llm/google/v1/models/x:generateContent?alt=sse');
+  assert.ok(!google.init.headers.has('x-api-key'));
+});
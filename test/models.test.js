@@ -0,0 +1,115 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Worksona = require('../worksona.js');
+
+const originalFetch = globalThis.fetch;
+let requests;
+
+const json = (status, body) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+test.beforeEach(() => {
+  requests = [];
+  globalThis.fetch = async (url, init = {}) => {
+    url = String(url);
+    const headers = new Headers(init.headers);
+    requests.push({ url, headers });
+    if (url.startsWith('https://api.openai.com/v1/models')) {
+      if (headers.get('authorization') !== 'Bearer sk-good') {
+        return json(401, { error: { message: 'Incorrect API key provided' } });
+      }
+      return json(200, { data: [{ id: 'gpt-4o' }, { id: 'dall-e-3' }, { id: 'text-embedding-3-small' }, { id: 'gpt-3.5-turbo' }] });
+    }
+    if (url.startsWith('https://api.anthropic.com/v1/models')) {
+      return json(200, { data: [{ id: 'claude-3-5-sonnet-latest', display_name: 'Claude 3.5 Sonnet' }, { id: 'claude-2.1', display_name: 'Claude 2.1' }] });
+    }
+    if (url.startsWith('https://generativelanguage.googleapis.com/v1beta/models')) {
+      return json(200, { models: [
+        { name: 'models/gemini-1.5-pro', displayName: 'Gemini 1.5 Pro', supportedGenerationMethods: ['generateContent'] },
+        { name: 'models/embedding-001', supportedGenerationMethods: ['embedContent'] },
+        { name: 'models/imagen-3.0-generate-002', supportedGenerationMethods: ['predict'] }
+      ] });
+    }
+    throw new Error(`Unexpected request to ${url}`);
+  };
+});
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+async function createWorksona(openaiKey = 'sk-good') {
+  const worksona = new Worksona({
+    controlPanel: false,
+    envKeys: false,
+    apiKeys: { openai: openaiKey, anthropic: 'sk-ant-test', google: 'g-key' }
+  });
+  worksona.on('error', () => {});
+  await worksona.ready;
+  return worksona;
+}
+
+test('listModels returns chat and image models with their capabilities', async () => {
+  const worksona = await createWorksona();
+
+  const openai = await worksona.listModels('openai');
+  assert.deepStrictEqual(openai.map(model => model.id).sort(), ['dall-e-3', 'gpt-3.5-turbo', 'gpt-4o']);
+  assert.ok(openai.find(model => model.id === 'gpt-4o').capabilities.includes('vision'));
+  assert.ok(!openai.find(model => model.id === 'gpt-3.5-turbo').capabilities.includes('vision'));
+  assert.deepStrictEqual(openai.find(model => model.id === 'dall-e-3').capabilities, ['image']);
+
+  const anthropic = await worksona.listModels('anthropic');
+  assert.strictEqual(anthropic[0].name, 'Claude 3.5 Sonnet');
+  assert.ok(anthropic[0].capabilities.includes('vision'));
+  assert.ok(!anthropic.find(model => model.id === 'claude-2.1').capabilities.includes('vision'));
+
+  const google = Object.fromEntries((await worksona.listModels('google')).map(model => [model.id, model.capabilities]));
+  assert.ok(google['gemini-1.5-pro'].includes('vision'));
+  assert.deepStrictEqual(google['imagen-3.0-generate-002'], ['image']);
+  assert.ok(!google['embedding-001']);
+});
+
+test('listModels caches per provider until refreshed or the keys change', async () => {
+  const worksona = await createWorksona();
+
+  const first = await worksona.listModels('openai');
+  assert.strictEqual(await worksona.listModels('openai'), first);
+  assert.strictEqual(requests.length, 1);
+
+  await worksona.listModels('openai', { refresh: true });
+  assert.strictEqual(requests.length, 2);
+
+  await worksona.setApiKeys({ openai: 'sk-good' });
+  await worksona.listModels('openai');
+  assert.strictEqual(requests.length, 3);
+});
+
+test('testConnection reports success with latency and records the status', async () => {
+  const worksona = await createWorksona();
+  const tested = [];
+  worksona.on('provider-tested', data => tested.push(data.provider));
+
+  const result = await worksona.testConnection('openai');
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(typeof result.latency, 'number');
+  assert.ok(result.testedAt instanceof Date);
+  assert.strictEqual(worksona.connectionStatus.get('openai'), result);
+  assert.deepStrictEqual(tested, ['openai']);
+});
+
+test('testConnection reports a rejected key without retrying or throwing', async () => {
+  const worksona = await createWorksona('sk-bad');
+
+  const result = await worksona.testConnection('openai');
+  assert.strictEqual(result.ok, false);
+  assert.match(result.error, /Incorrect API key|401/);
+  assert.strictEqual(requests.length, 1);
+
+  const bare = new Worksona({ controlPanel: false, envKeys: false });
+  await bare.ready;
+  const unconfigured = await bare.testConnection('anthropic');
+  assert.strictEqual(unconfigured.ok, false);
+  assert.strictEqual(unconfigured.latency, null);
+  assert.match(unconfigured.error, /No API key/);
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const Worksona = require('../worksona.js');
+
+const originalFetch = globalThis.fetch;
+const agent = {
+  id: 'saver',
+  name: 'Saver',
+  description: 'Agent whose history is persisted',
+  config: { provider: 'openai', model: 'gpt-4o' }
+};
+
+test.beforeEach(() => {
+  globalThis.fetch = async (url, init) => {
+    const { messages } = JSON.parse(init.body);
+    const content = `reply to ${messages[messages.length - 1].content}`;
+    return new Response(JSON.stringify({ choices: [{ message: { content } }], usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 } }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  };
+});
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+async function createWorksona(options) {
+  const worksona = new Worksona({ controlPanel: false, envKeys: false, apiKeys: { openai: 'sk-test' }, ...options });
+  worksona.on('error', () => {});
+  await worksona.ready;
+  return worksona;
+}
+
+test('agents come back with their transactions, threads and metrics', async () => {
+  const storage = Worksona.storageAdapters.memory();
+  const first = await createWorksona({ storage });
+  await first.loadAgent(agent);
+  await first.chat('saver', 'hello');
+  await first.chat('saver', 'order late', { threadId: 'ticket-42' });
+  await first.flushStorage();
+
+  const second = await createWorksona({ storage });
+  assert.deepStrictEqual(second.getAgentHistory('saver').map(transaction => transaction.query), ['hello', 'order late']);
+  assert.strictEqual(second.getThread('saver', 'ticket-42').messages.length, 2);
+  assert.strictEqual(second.getAgent('saver').metrics.totalTokens, 10);
+
+  await second.loadAgent({ ...agent, description: 'Updated description' });
+  assert.strictEqual(second.getAgent('saver').description, 'Updated description');
+  assert.strictEqual(second.getAgentHistory('saver').length, 2);
+
+  second.removeAgent('saver');
+  await second.flushStorage();
+  const third = await createWorksona({ storage });
+  assert.strictEqual(third.getAgent('saver'), undefined);
+});
+
+test('the file adapter writes one JSON file per key', async t => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'worksona-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const first = await createWorksona({ storage: 'file', storageOptions: { directory } });
+  await first.loadAgent(agent);
+  await first.chat('saver', 'hello');
+  await first.flushStorage();
+  assert.ok(fs.readdirSync(directory).includes('agent%3Asaver.json'));
+
+  const second = await createWorksona({ storage: 'file', storageOptions: { directory } });
+  assert.strictEqual(second.getAgentHistory('saver')[0].response, 'reply to hello');
+});
+
+test('storage failures are reported without interrupting chats', async () => {
+  const failing = {
+    async get() { return null; },
+    async set() { throw new Error('disk full'); },
+    async delete() {},
+    async keys() { return []; }
+  };
+  const worksona = new Worksona({ controlPanel: false, envKeys: false, apiKeys: { openai: 'sk-test' }, storage: failing });
+  const errors = [];
+  worksona.on('error', error => errors.push(error.code));
+  await worksona.ready;
+  await worksona.loadAgent(agent);
+
+  assert.strictEqual(await worksona.chat('saver', 'hello'), 'reply to hello');
+  await worksona.flushStorage();
+  assert.ok(errors.length > 0);
+  assert.ok(errors.every(code => code === 'STORAGE_ERROR'));
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Worksona = require('../worksona.js');
+
+const originalFetch = globalThis.fetch;
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('a replay miss fails with FIXTURE_NOT_FOUND without reaching the provider', async () => {
+  let calls = 0;
+  globalThis.fetch = async () => {
+    calls++;
+    return new Response('{}', { status: 200 });
+  };
+  const worksona = new Worksona({
+    controlPanel: false,
+    envKeys: false,
+    apiKeys: { openai: 'sk-test' },
+    recording: { mode: 'replay', storage: 'memory' },
+    retry: { maxAttempts: 3, baseDelayMs: 1 }
+  });
+  const retries = [];
+  worksona.on('error', () => {});
+  worksona.on('retry', event => retries.push(event));
+  await worksona.ready;
+  await worksona.loadAgent({ id: 'a', name: 'A', description: 'Replay test agent', config: { provider: 'openai', model: 'gpt-4o' } });
+
+  await assert.rejects(worksona.chat('a', 'hello'), error => {
+    assert.strictEqual(error.code, 'FIXTURE_NOT_FOUND');
+    assert.match(error.message, /^No recorded response for openai POST .*\(fixture:openai-[^)]+-0\)$/);
+    return true;
+  });
+  assert.strictEqual(calls, 0);
+  assert.deepStrictEqual(retries, []);
+  assert.strictEqual(worksona.getAgentHistory('a').at(-1).status, 'error');
+});
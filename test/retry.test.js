@@ -0,0 +1,85 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Worksona = require('../worksona.js');
+
+const originalFetch = globalThis.fetch;
+let replies;
+let calls;
+
+const reply = (status, headers = {}) => status === 200
+  ? new Response(JSON.stringify({ choices: [{ message: { content: 'ok' } }] }), { status, headers })
+  : new Response(JSON.stringify({ error: { message: `HTTP ${status}` } }), { status, headers });
+
+test.beforeEach(() => {
+  replies = [];
+  calls = 0;
+  globalThis.fetch = async () => {
+    calls++;
+    return replies.shift() || reply(200);
+  };
+});
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+async function createWorksona(options = {}) {
+  const worksona = new Worksona({ controlPanel: false, envKeys: false, apiKeys: { openai: 'sk-test' }, retry: { baseDelayMs: 1, jitter: false }, ...options });
+  worksona.on('error', () => {});
+  await worksona.ready;
+  await worksona.loadAgent({ id: 'a', name: 'A', description: 'Retry test agent', config: { provider: 'openai', model: 'gpt-4o' } });
+  return worksona;
+}
+
+test('retryable statuses are retried with exponential backoff', async () => {
+  replies = [reply(503), reply(500)];
+  const worksona = await createWorksona();
+  const retries = [];
+  worksona.on('retry', event => retries.push([event.attempt, event.status, event.delay]));
+
+  assert.strictEqual(await worksona.chat('a', 'hi'), 'ok');
+  assert.strictEqual(calls, 3);
+  assert.deepStrictEqual(retries, [[1, 503, 1], [2, 500, 2]]);
+  assert.strictEqual(worksona.getAgentHistory('a')[0].retries, 2);
+});
+
+test('Retry-After sets the delay before the next attempt', async () => {
+  replies = [reply(429, { 'retry-after-ms': '30' }), reply(429, { 'retry-after': '0' })];
+  const worksona = await createWorksona();
+  const delays = [];
+  worksona.on('retry', event => delays.push(event.delay));
+
+  assert.strictEqual(await worksona.chat('a', 'hi'), 'ok');
+  assert.deepStrictEqual(delays, [30, 0]);
+});
+
+test('other errors and exhausted attempts are not retried', async () => {
+  replies = [reply(400)];
+  const worksona = await createWorksona();
+  await assert.rejects(worksona.chat('a', 'hi'));
+  assert.strictEqual(calls, 1);
+
+  replies = [reply(503), reply(503)];
+  await assert.rejects(worksona.chat('a', 'hi', { retry: { maxAttempts: 2 } }));
+  assert.strictEqual(calls, 3);
+});
+
+test('client-side rate limits hold requests until the window has room', async t => {
+  const start = Date.now();
+  let elapsed = 0;
+  t.mock.method(Date, 'now', () => start + elapsed);
+  const worksona = await createWorksona({ rateLimits: { openai: { requestsPerMinute: 1 } } });
+  const waits = [];
+  worksona.on('rate-limited', event => {
+    waits.push(event.wait);
+    elapsed = 60000;
+  });
+
+  assert.strictEqual(await worksona.chat('a', 'first'), 'ok');
+  elapsed = 59990;
+  assert.strictEqual(await worksona.chat('a', 'second'), 'ok');
+  assert.deepStrictEqual(waits, [10]);
+  assert.strictEqual(calls, 2);
+});
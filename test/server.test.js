@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Worksona = require('../worksona.js');
+const { WorksonaServer } = require('../worksona-server.js');
+
+let worksona;
+let server;
+let baseUrl;
+
+test.before(async () => {
+  worksona = new Worksona({ controlPanel: false, envKeys: false, apiKeys: { openai: 'sk-server' } });
+  worksona.on('error', () => {});
+  // A custom adapter running with the server's own credentials
+  worksona.registerProvider('gateway', { chat: async () => 'from the gateway' });
+  await worksona.loadAgent({ id: 'gated', name: 'Gated', description: 'Agent behind the gateway', config: { provider: 'gateway', model: 'internal' } });
+  await worksona.loadAgent({ id: 'mocked', name: 'Mocked', description: 'Agent on the mock provider', config: { provider: 'mock', model: 'mock' } });
+
+  server = new WorksonaServer(worksona, { apiKeys: ['client-key'] });
+  const listening = await server.listen(0, '127.0.0.1');
+  baseUrl = `http://127.0.0.1:${listening.address().port}/v1`;
+});
+
+test.after(() => server.close());
+
+const request = (method, path, body, headers = {}) => fetch(baseUrl + path, {
+  method,
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: body && JSON.stringify(body)
+});
+
+test('an empty X-Provider-Keys header does not authorize a request', async () => {
+  const response = await request('POST', '/chat/gated', { message: 'hi' }, { 'X-Provider-Keys': '{}' });
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual((await response.json()).code, 'INVALID_PROVIDER_KEYS');
+});
+
+test('client provider keys only reach the providers they are for', async () => {
+  const headers = { 'X-Provider-Keys': JSON.stringify({ anthropic: 'sk-ant-client' }) };
+  for (const agentId of ['gated', 'mocked']) {
+    const response = await request('POST', `/chat/${agentId}`, { message: 'hi' }, headers);
+    assert.notStrictEqual(response.status, 200, agentId);
+  }
+});
+
+test('the server API key still serves custom providers', async () => {
+  const response = await request('POST', '/chat/gated', { message: 'hi' }, { 'X-API-Key': 'client-key' });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).content, 'from the gateway');
+});
+
+test('updating an agent keeps its threads, history and metrics', async () => {
+  const definition = { id: 'writer', name: 'Writer', description: 'Writes copy', config: { provider: 'openai', model: 'gpt-4o' } };
+  const writer = await worksona.loadAgent(definition);
+  writer.appendToThread('t1', { role: 'user', content: 'hi' }, { role: 'assistant', content: 'hello' });
+  writer.addTransaction({ timestamp: new Date(), query: 'hi', response: 'hello', duration: 5, error: null, provider: 'openai', threadId: 't1' });
+
+  const response = await request('PUT', '/agents/writer', { ...definition, description: 'Writes better copy' }, { 'X-API-Key': 'client-key' });
+  assert.strictEqual(response.status, 200);
+
+  const agent = worksona.getAgent('writer');
+  assert.notStrictEqual(agent, writer);
+  assert.strictEqual(agent.description, 'Writes better copy');
+  assert.strictEqual(agent.getHistory().length, 1);
+  assert.strictEqual(agent.getMetrics().totalQueries, 1);
+  assert.strictEqual(agent.getThread('t1').messages.length, 2);
+});
+
+test('document metadata reports the model that answered', async () => {
+  worksona.registerProvider('flaky', {
+    chat: async () => {
+      const error = new Error('Service unavailable');
+      error.status = 503;
+      throw error;
+    }
+  });
+  await worksona.loadAgent({ id: 'reader', name: 'Reader', description: 'Reads documents', config: { provider: 'flaky', model: 'v1', fallbacks: ['mock/mock-large'] } });
+
+  const form = new FormData();
+  form.append('file', new Blob(['Quarterly numbers'], { type: 'text/plain' }), 'notes.txt');
+  form.append('agentId', 'reader');
+  const response = await fetch(`${baseUrl}/documents/process`, { method: 'POST', headers: { 'X-API-Key': 'client-key' }, body: form });
+  assert.strictEqual(response.status, 200);
+  const { metadata } = await response.json();
+  assert.strictEqual(metadata.provider, 'mock');
+  assert.strictEqual(metadata.model, 'mock-large');
+});
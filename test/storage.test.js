@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Worksona = require('../worksona.js');
+
+const agent = {
+  id: 'saver',
+  name: 'Saver',
+  description: 'Agent whose usage is persisted',
+  config: { provider: 'mock', model: 'mock' }
+};
+
+const usage = { promptTokens: 600, completionTokens: 400, totalTokens: 1000 };
+
+async function createWorksona(storage, options = {}) {
+  const worksona = new Worksona({ controlPanel: false, envKeys: false, storage, ...options });
+  worksona.on('error', () => {});
+  await worksona.ready;
+  return worksona;
+}
+
+test('usage totals survive a restart, including removed agents', async () => {
+  const storage = Worksona.storageAdapters.memory();
+  const first = await createWorksona(storage);
+  await first.loadAgent(agent);
+  await first.loadAgent({ ...agent, id: 'temporary' });
+  first.mockResponses({ content: 'one', usage }, { content: 'two', usage });
+  await first.chat('saver', 'hi');
+  await first.chat('temporary', 'hi');
+  first.removeAgent('temporary');
+  await first.flushStorage();
+
+  const second = await createWorksona(storage);
+  assert.strictEqual(second.getUsage().totalTokens, 2000);
+  assert.strictEqual(second.getUsage().promptTokens, 1200);
+});
+
+test('the global budget still applies after a restart', async () => {
+  const storage = Worksona.storageAdapters.memory();
+  const first = await createWorksona(storage);
+  await first.loadAgent(agent);
+  first.mockResponses({ content: 'one', usage });
+  await first.chat('saver', 'hi');
+  await first.flushStorage();
+
+  const second = await createWorksona(storage, { budget: { maxTokens: 1000 } });
+  await assert.rejects(second.chat('saver', 'hi'), error => error.code === 'BUDGET_EXCEEDED');
+});
+
+test('stores without saved totals fall back to the agents\' metrics', async () => {
+  const storage = Worksona.storageAdapters.memory();
+  const first = await createWorksona(storage);
+  await first.loadAgent(agent);
+  first.mockResponses({ content: 'one', usage });
+  await first.chat('saver', 'hi');
+  await first.flushStorage();
+  await storage.delete('usage');
+
+  const second = await createWorksona(storage);
+  assert.strictEqual(second.getUsage().totalTokens, 1000);
+});
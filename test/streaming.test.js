@@ -0,0 +1,57 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Worksona = require('../worksona.js');
+
+async function createWorksona(config = {}) {
+  const worksona = new Worksona({ controlPanel: false, envKeys: false, mock: { responses: [{ content: 'one two three', repeat: true }] } });
+  worksona.on('error', () => {});
+  worksona.registerTool('lookup', async () => 'found', { description: 'Looks things up' });
+  await worksona.loadAgent({ id: 'streamer', name: 'Streamer', description: 'Streams replies', config: { provider: 'mock', model: 'mock', ...config } });
+  return worksona;
+}
+
+async function collect(stream) {
+  let text = '';
+  for await (const delta of stream) text += delta;
+  return text;
+}
+
+test('chatStream refuses tools instead of ignoring them', async () => {
+  const worksona = await createWorksona();
+  await assert.rejects(collect(worksona.chatStream('streamer', 'Hi', { tools: ['lookup'] })), { code: 'UNSUPPORTED_OPTION' });
+
+  const agentWithTools = await createWorksona({ tools: ['lookup'] });
+  await assert.rejects(collect(agentWithTools.chatStream('streamer', 'Hi')), { code: 'UNSUPPORTED_OPTION' });
+  assert.strictEqual(await collect(agentWithTools.chatStream('streamer', 'Hi', { tools: [] })), 'one two three');
+  assert.strictEqual(agentWithTools.getMockCalls().length, 1);
+});
+
+test('chatStream refuses an output schema instead of ignoring it', async () => {
+  const worksona = await createWorksona();
+  await assert.rejects(collect(worksona.chatStream('streamer', 'Hi', { outputSchema: { type: 'object' } })), { code: 'UNSUPPORTED_OPTION' });
+
+  const structured = await createWorksona({ outputSchema: { type: 'object' } });
+  await assert.rejects(collect(structured.chatStream('streamer', 'Hi')), { code: 'UNSUPPORTED_OPTION' });
+  assert.strictEqual(structured.getMockCalls().length, 0);
+});
+
+test('outputSchema: true is sent to OpenAI as JSON mode', async () => {
+  const originalFetch = globalThis.fetch;
+  const bodies = [];
+  globalThis.fetch = async (url, init) => {
+    bodies.push(JSON.parse(init.body));
+    return new Response(JSON.stringify({ choices: [{ message: { content: '{"answer":42}' } }] }), { status: 200 });
+  };
+  try {
+    const worksona = new Worksona({ controlPanel: false, envKeys: false, apiKeys: { openai: 'sk-test' } });
+    await worksona.ready;
+    await worksona.loadAgent({ id: 'a', name: 'A', description: 'Answers in JSON', config: { provider: 'openai', model: 'gpt-4o', systemPrompt: 'Be brief.' } });
+    assert.deepStrictEqual(await worksona.chat('a', 'Answer?', { outputSchema: true }), { answer: 42 });
+    assert.deepStrictEqual(bodies[0].response_format, { type: 'json_object' });
+    assert.match(bodies[0].messages[0].content, /JSON/);
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+});
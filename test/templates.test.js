@@ -0,0 +1,74 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Worksona = require('../worksona.js');
+
+const originalFetch = globalThis.fetch;
+let requests;
+
+test.beforeEach(() => {
+  requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push(JSON.parse(init.body));
+    return new Response(JSON.stringify({ choices: [{ message: { content: 'ok' } }] }), { status: 200 });
+  };
+});
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+async function createWorksona(config, options = {}) {
+  const worksona = new Worksona({ controlPanel: false, envKeys: false, apiKeys: { openai: 'sk-test' }, ...options });
+  worksona.on('error', () => {});
+  await worksona.ready;
+  await worksona.loadAgent({ id: 'concierge', name: 'Concierge', description: 'Greets guests', config: { provider: 'openai', model: 'gpt-4o', ...config } });
+  return worksona;
+}
+
+const systemPrompt = () => requests.at(-1).messages[0].content;
+
+test('variables, conditionals and partials are rendered on every call', async () => {
+  const worksona = await createWorksona({
+    systemPrompt: 'You assist {{user.name}} at {{company}} with {{topics}}.{{#if vip}} Offer priority support.{{else}} Be friendly.{{/if}}{{#unless internal}} {{> signature}}{{/unless}}',
+    variables: { company: 'Acme', topics: ['billing', 'returns'] },
+    partials: { signature: 'Sign off as the {{company}} team.' }
+  });
+
+  await worksona.chat('concierge', 'Hi', { variables: { user: { name: 'Sam' }, vip: true } });
+  assert.strictEqual(systemPrompt(), 'You assist Sam at Acme with billing, returns. Offer priority support. Sign off as the Acme team.');
+
+  await worksona.chat('concierge', 'Hi', { variables: { user: { name: 'Kim' }, company: 'Globex', internal: true } });
+  assert.strictEqual(systemPrompt(), 'You assist Kim at Globex with billing, returns. Be friendly.');
+  assert.match(worksona.getAgent('concierge').config.systemPrompt, /\{\{user\.name\}\}/);
+});
+
+test('call partials win over agent partials, which win over registered ones', async () => {
+  const worksona = await createWorksona({ systemPrompt: '{{> tone}} {{> footer}} {{> legal}}', partials: { footer: 'Agent footer.', legal: 'Agent legal.' } }, {
+    partials: { tone: 'Registered tone.', footer: 'Registered footer.' }
+  });
+  worksona.registerPartial('legal', 'Registered legal.');
+
+  await worksona.chat('concierge', 'Hi', { partials: { legal: 'Call legal.' } });
+  assert.strictEqual(systemPrompt(), 'Registered tone. Agent footer. Call legal.');
+});
+
+test('examples are rendered with the same variables', async () => {
+  const worksona = await createWorksona({
+    systemPrompt: 'You work at {{company}}.',
+    examples: [{ user: 'Who are you?', assistant: 'The {{company}} concierge.' }]
+  });
+  await worksona.chat('concierge', 'Hi', { variables: { company: 'Acme' } });
+  assert.deepStrictEqual(requests[0].messages.map(m => m.content), ['You work at Acme.', 'Who are you?', 'The Acme concierge.', 'Hi']);
+});
+
+test('missing variables fail the call before it is sent', async () => {
+  const worksona = await createWorksona({ systemPrompt: 'You assist {{user.name}}.{{#if vip}} VIP.{{/if}}' });
+  await assert.rejects(worksona.chat('concierge', 'Hi'), error => {
+    assert.strictEqual(error.code, 'TEMPLATE_ERROR');
+    assert.deepStrictEqual(error.details, [{ name: 'user.name', location: 'systemPrompt' }]);
+    return true;
+  });
+  assert.strictEqual(requests.length, 0);
+});
@@ -0,0 +1,29 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Worksona = require('../worksona.js');
+
+async function createWorksona(config = {}) {
+  const worksona = new Worksona({ controlPanel: false, envKeys: false });
+  await worksona.loadAgent({ id: 'talker', name: 'Talker', description: 'Keeps a conversation', config: { provider: 'mock', model: 'mock', ...config } });
+  await worksona.chat('talker', 'first', { threadId: 't' });
+  await worksona.chat('talker', 'second', { threadId: 't' });
+  return worksona;
+}
+
+test('an odd maxHistoryMessages replays from a user turn', async () => {
+  const worksona = await createWorksona({ maxHistoryMessages: 3 });
+  await worksona.chat('talker', 'third', { threadId: 't' });
+  const { history } = worksona.getMockCalls().at(-1);
+  assert.deepStrictEqual(history.map(m => m.role), ['user', 'assistant']);
+  assert.strictEqual(history[0].content, 'second');
+});
+
+test('an even maxHistoryMessages keeps whole turns', async () => {
+  const worksona = await createWorksona();
+  await worksona.chat('talker', 'third', { threadId: 't', maxHistoryMessages: 4 });
+  const { history } = worksona.getMockCalls().at(-1);
+  assert.deepStrictEqual(history.map(m => m.role), ['user', 'assistant', 'user', 'assistant']);
+  assert.strictEqual(history[0].content, 'first');
+});
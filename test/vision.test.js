@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Worksona = require('../worksona.js');
+
+const originalFetch = globalThis.fetch;
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+let requests;
+
+const json = body => new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+
+test.beforeEach(() => {
+  requests = [];
+  globalThis.fetch = async (url, init = {}) => {
+    requests.push({ url: String(url), body: typeof init.body === 'string' ? JSON.parse(init.body) : init.body });
+    if (String(url).includes('anthropic')) return json({ content: [{ type: 'text', text: 'A red square' }] });
+    return json({ choices: [{ message: { content: 'A red square' } }] });
+  };
+});
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+async function createWorksona(config) {
+  const worksona = new Worksona({ controlPanel: false, envKeys: false, apiKeys: { openai: 'sk-test', anthropic: 'sk-ant-test' } });
+  await worksona.ready;
+  await worksona.loadAgent({ id: 'viewer', name: 'Viewer', description: 'Looks at images', config });
+  return worksona;
+}
+
+test('OpenAI models that cannot see images fall back to the vision model', async () => {
+  const worksona = await createWorksona({ provider: 'openai', model: 'gpt-3.5-turbo' });
+  await worksona.processImage('viewer', PNG);
+  assert.strictEqual(requests[0].body.model, 'gpt-4o');
+  assert.strictEqual(worksona.getAgentHistory('viewer')[0].model, 'gpt-4o');
+});
+
+test('OpenAI vision models are used as configured', async () => {
+  const worksona = await createWorksona({ provider: 'openai', model: 'gpt-4o-mini' });
+  await worksona.processImage('viewer', PNG);
+  assert.strictEqual(requests[0].body.model, 'gpt-4o-mini');
+});
+
+test('Anthropic vision keeps the agent behind a templated prompt', async () => {
+  const worksona = await createWorksona({
+    provider: 'anthropic',
+    model: 'claude-2.1',
+    systemPrompt: 'You review {{product}} screenshots.',
+    variables: { product: 'Acme' }
+  });
+  assert.strictEqual(await worksona.processImage('viewer', PNG), 'A red square');
+  const { body } = requests[0];
+  assert.strictEqual(body.model, 'claude-3-opus-20240229');
+  assert.strictEqual(body.system, 'You review Acme screenshots.');
+  assert.strictEqual(body.metadata.user_id, 'viewer');
+});
+
+test('image downloads are retried like provider requests', async () => {
+  const png = Buffer.from(PNG.split(',')[1], 'base64');
+  let attempts = 0;
+  globalThis.fetch = async () => (++attempts === 1
+    ? new Response('busy', { status: 503 })
+    : new Response(png, { status: 200, headers: { 'Content-Type': 'image/png' } }));
+  const worksona = new Worksona({ controlPanel: false, envKeys: false, apiKeys: { openai: 'sk-test' }, retry: { maxAttempts: 2, baseDelayMs: 1 } });
+  await worksona.ready;
+
+  const blob = await worksona.imageToBlob('https://images.example.com/result.png');
+  assert.strictEqual(blob.type, 'image/png');
+  assert.strictEqual(attempts, 2);
+});
+
+test('image downloads replay from fixtures instead of the network', async () => {
+  const worksona = new Worksona({
+    controlPanel: false,
+    envKeys: false,
+    apiKeys: { google: 'test-key' },
+    recording: { mode: 'replay', storage: 'memory' }
+  });
+  worksona.on('error', () => {});
+  await worksona.ready;
+  await worksona.loadAgent({ id: 'viewer', name: 'Viewer', description: 'Looks at images', config: { provider: 'google', model: 'gemini-1.5-flash' } });
+
+  await assert.rejects(worksona.imageToBlob('https://images.example.com/result.png', { provider: 'google' }), { code: 'FIXTURE_NOT_FOUND' });
+  await assert.rejects(worksona.processImage('viewer', 'https://images.example.com/result.png'), { code: 'FIXTURE_NOT_FOUND' });
+  assert.deepStrictEqual(requests, []);
+});
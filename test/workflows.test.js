@@ -0,0 +1,121 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Worksona = require('../worksona.js');
+
+let worksona;
+
+// Each agent answers "<id>(<message>)"; routers pick the route named in
+// the message
+const scripted = {
+  chat: async (agent, message, context) => {
+    if (context.outputSchema) {
+      const route = context.outputSchema.properties.route.enum.find(name => message.includes(`route to ${name}`));
+      return JSON.stringify({ route, reason: 'asked for it' });
+    }
+    if (agent.id === 'broken') {
+      throw new Error('broken agent');
+    }
+    return `${agent.id}(${message.split('\n')[0]})`;
+  }
+};
+
+test.beforeEach(async () => {
+  worksona = new Worksona({ controlPanel: false, envKeys: false });
+  worksona.on('error', () => {});
+  await worksona.ready;
+  worksona.registerProvider('scripted', scripted);
+  for (const id of ['writer', 'editor', 'router', 'billing', 'tech', 'pro', 'con', 'judge', 'broken']) {
+    await worksona.loadAgent({ id, name: id.toUpperCase(), description: `${id} agent`, config: { provider: 'scripted', model: 'script' } });
+  }
+});
+
+test('sequential steps pass outputs along and render input templates', async () => {
+  const events = [];
+  ['workflow-start', 'workflow-step-start', 'workflow-step-complete', 'workflow-complete'].forEach(event => {
+    worksona.on(event, data => events.push(`${event}:${data.stepId || ''}`));
+  });
+
+  const workflow = worksona.createWorkflow({
+    id: 'pipeline',
+    steps: [
+      'writer',
+      { id: 'edit', agent: 'editor', input: 'Edit {{previous}} about {{input}}' },
+      { id: 'done', run: (input, { steps }) => `${input} / ${steps['step-1']}` }
+    ]
+  });
+  const result = await workflow.run('cats');
+
+  assert.strictEqual(result.output, 'editor(Edit writer(cats) about cats) / writer(cats)');
+  assert.deepStrictEqual(result.trace.map(entry => [entry.stepId, entry.type, entry.agentId]), [
+    ['step-1', 'agent', 'writer'],
+    ['edit', 'agent', 'editor'],
+    ['done', 'function', null]
+  ]);
+  assert.deepStrictEqual(events, [
+    'workflow-start:',
+    'workflow-step-start:step-1', 'workflow-step-complete:step-1',
+    'workflow-step-start:edit', 'workflow-step-complete:edit',
+    'workflow-step-start:done', 'workflow-step-complete:done',
+    'workflow-complete:'
+  ]);
+});
+
+test('parallel steps output an object keyed by child id', async () => {
+  const result = await worksona.createWorkflow({
+    steps: [{ id: 'both', type: 'parallel', steps: [{ id: 'w', agent: 'writer' }, { id: 'e', agent: 'editor', input: 'Check {{input}}' }] }]
+  }).run('draft');
+
+  assert.deepStrictEqual(result.output, { w: 'writer(draft)', e: 'editor(Check draft)' });
+  assert.deepStrictEqual(result.trace.filter(entry => entry.parentId === 'both').map(entry => entry.stepId).sort(), ['e', 'w']);
+});
+
+test('router runs the chosen route and records the decision', async () => {
+  const routes = [];
+  worksona.on('workflow-route', data => routes.push(data.route));
+  const workflow = worksona.createWorkflow({
+    steps: [{ id: 'route', type: 'router', agent: 'router', routes: { billing: 'billing', tech: { agent: 'tech' } }, default: 'tech' }]
+  });
+
+  const chosen = await workflow.run('Please route to billing');
+  assert.strictEqual(chosen.output, 'billing(Please route to billing)');
+  assert.deepStrictEqual(chosen.trace[0].decision, { route: 'billing', reason: 'asked for it' });
+
+  const fallback = await worksona.createWorkflow({
+    steps: [{ id: 'route', type: 'router', select: () => 'unknown', routes: { billing: 'billing', tech: { agent: 'tech' } }, default: 'tech' }]
+  }).run('No idea');
+  assert.strictEqual(fallback.output, 'tech(No idea)');
+  assert.deepStrictEqual(routes, ['billing', 'tech']);
+});
+
+test('debate takes turns per round and ends with the moderator', async () => {
+  const result = await worksona.createWorkflow({
+    steps: [{ id: 'talk', type: 'debate', agents: ['pro', 'con'], rounds: 2, moderator: 'judge' }]
+  }).run('Tabs or spaces');
+
+  assert.deepStrictEqual(result.trace.filter(entry => entry.parentId === 'talk').map(entry => entry.stepId), [
+    'talk.round-1.pro', 'talk.round-1.con', 'talk.round-2.pro', 'talk.round-2.con', 'talk.moderator'
+  ]);
+  assert.strictEqual(result.output, 'judge(Topic: Tabs or spaces)');
+  const moderatorInput = result.trace.find(entry => entry.stepId === 'talk.moderator').input;
+  assert.match(moderatorInput, /PRO: pro\(Topic: Tabs or spaces\)/);
+  assert.match(moderatorInput, /CON: con\(Topic: Tabs or spaces\)/);
+});
+
+test('continueOnError turns a failing step into null; otherwise the run fails', async () => {
+  const errors = [];
+  worksona.on('workflow-step-error', data => errors.push(data.stepId));
+
+  const tolerant = await worksona.createWorkflow({
+    steps: [{ id: 'fail', agent: 'broken', continueOnError: true }, { id: 'after', run: input => `after ${input}` }]
+  }).run('x');
+  assert.strictEqual(tolerant.output, 'after null');
+  assert.match(tolerant.trace[0].error.message, /broken agent/);
+
+  await assert.rejects(
+    worksona.createWorkflow({ steps: [{ id: 'boom', run: () => { throw new Error('boom'); } }] }).run('x'),
+    error => error.code === 'WORKFLOW_ERROR' && /boom/.test(error.message)
+  );
+  assert.deepStrictEqual(errors, ['fail', 'boom']);
+});
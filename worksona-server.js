@@ -0,0 +1,630 @@
+/**
+ * Worksona.js - REST server
+ *
+ * Serves the HTTP API described in worksona-api.yaml on top of a Worksona
+ * instance, so browser apps can use agents without holding provider keys.
+ * Node.js only (18 or newer); no dependencies beyond worksona.js.
+ *
+ *   const Worksona = require('./worksona.js');
+ *   const { createServer } = require('./worksona-server.js');
+ *
+ *   const worksona = new Worksona({ apiKeys: { openai: process.env.OPENAI_API_KEY } });
+ *   createServer(worksona, { apiKeys: ['client-key'] }).listen(3000);
+ *
+ * Or run it directly: `node worksona-server.js` (see the bottom of this file).
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const Worksona = require('./worksona.js');
+
+const PROVIDERS = ['openai', 'anthropic', 'google'];
+
+// Request and response schemas, mirroring components/schemas and the request
+// bodies in worksona-api.yaml. Keep the two in sync.
+const LLM_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    provider: { type: 'string', enum: PROVIDERS },
+    model: { type: 'string' },
+    temperature: { type: 'number' },
+    maxTokens: { type: 'integer' }
+  }
+};
+
+const SCHEMAS = {
+  agent: {
+    type: 'object',
+    required: ['id', 'name', 'description', 'config'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      description: { type: 'string' },
+      traits: {
+        type: 'object',
+        properties: {
+          personality: { type: 'array', items: { type: 'string' } },
+          knowledge: { type: 'array', items: { type: 'string' } },
+          tone: { type: 'string' },
+          background: { type: 'string' }
+        }
+      },
+      config: {
+        type: 'object',
+        required: ['provider', 'model'],
+        properties: {
+          provider: { type: 'string', enum: PROVIDERS },
+          model: { type: 'string' },
+          temperature: { type: 'number', minimum: 0, maximum: 2 },
+          maxTokens: { type: 'integer', minimum: 1, maximum: 4000 },
+          systemPrompt: { type: 'string' },
+          examples: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                user: { type: 'string' },
+                assistant: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  chat: {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: { type: 'string' },
+      context: { type: 'object' }
+    }
+  },
+  document: {
+    type: 'object',
+    required: ['file', 'agentId'],
+    properties: {
+      file: { type: 'object' },
+      agentId: { type: 'string' },
+      options: { type: 'object' }
+    }
+  },
+  llmConfig: {
+    type: 'object',
+    properties: {
+      provider: { type: 'string', enum: PROVIDERS },
+      config: LLM_CONFIG_SCHEMA
+    }
+  },
+  llmTest: {
+    type: 'object',
+    required: ['provider'],
+    properties: {
+      provider: { type: 'string', enum: PROVIDERS }
+    }
+  }
+};
+
+// HTTP status for errors raised by Worksona, by error code
+const ERROR_STATUS = {
+  AGENT_NOT_FOUND: 404,
+  THREAD_NOT_FOUND: 404,
+  CONFIG_ERROR: 400,
+  AGENT_LOAD_ERROR: 400,
+  TEMPLATE_ERROR: 400,
+  SCHEMA_VALIDATION_ERROR: 502,
+  BUDGET_EXCEEDED: 429,
+  CHAT_ERROR: 502,
+  PROVIDER_ERROR: 502,
+  IMAGE_PROCESSING_ERROR: 502,
+  TIMEOUT: 504
+};
+
+// Document types sent to the agent as text; images go to its vision model
+const TEXT_TYPES = /^(text\/|application\/(json|xml|x-yaml|yaml|markdown|csv))/;
+const TEXT_EXTENSIONS = /\.(txt|md|markdown|json|csv|tsv|xml|ya?ml|html?|js|ts|py|log)$/i;
+
+class HttpError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    if (details) this.details = details;
+  }
+}
+
+// Route requests for one Worksona instance. Options:
+//   apiKeys         accepted X-API-Key values
+//   authenticate    (key, req) => boolean | Promise<boolean>, instead of apiKeys
+//   allowAnonymous  serve requests without an API key (development only)
+//   providerKeys    honour X-Provider-Keys (default true)
+//   basePath        path prefix of the API (default '/v1', as in the spec's servers)
+//   cors            false, '*' or a list of allowed origins
+//   maxBodySize     request body limit in bytes (default 10 MB)
+//   llmConfig       initial per-provider settings served by /llm/config
+class WorksonaServer {
+  constructor(worksona, options = {}) {
+    if (!worksona) throw new Error('WorksonaServer needs a Worksona instance');
+    this.worksona = worksona;
+    this.options = {
+      apiKeys: [],
+      allowAnonymous: false,
+      providerKeys: true,
+      basePath: '/v1',
+      cors: false,
+      maxBodySize: 10 * 1024 * 1024,
+      ...options
+    };
+    if (!this.options.apiKeys.length && !this.options.authenticate && !this.options.allowAnonymous) {
+      throw new Error('WorksonaServer needs apiKeys, an authenticate function or allowAnonymous: true');
+    }
+
+    this.llmConfig = {};
+    PROVIDERS.forEach(provider => {
+      this.llmConfig[provider] = { ...this._defaultLLMConfig(provider), ...(this.options.llmConfig || {})[provider], provider };
+    });
+
+    // Each route lists the security schemes that may authorize it. As in
+    // OpenAPI, the schemes are alternatives: a client that brings its own
+    // provider keys may chat without a server API key, but then only its
+    // own keys are used.
+    this.routes = [
+      { method: 'GET', path: '/agents', security: ['ApiKeyAuth'], handler: this._listAgents },
+      { method: 'POST', path: '/agents', security: ['ApiKeyAuth'], body: 'agent', handler: this._createAgent },
+      { method: 'GET', path: '/agents/{agentId}', security: ['ApiKeyAuth'], handler: this._getAgent },
+      { method: 'PUT', path: '/agents/{agentId}', security: ['ApiKeyAuth'], body: 'agent', handler: this._updateAgent },
+      { method: 'POST', path: '/chat/{agentId}', security: ['ApiKeyAuth', 'ProviderApiKeys'], body: 'chat', handler: this._chat },
+      { method: 'POST', path: '/documents/process', security: ['ApiKeyAuth', 'ProviderApiKeys'], body: 'document', multipart: true, handler: this._processDocument },
+      { method: 'GET', path: '/llm/config', security: ['ApiKeyAuth'], handler: this._getLLMConfig },
+      { method: 'PUT', path: '/llm/config', security: ['ApiKeyAuth'], body: 'llmConfig', handler: this._updateLLMConfig },
+      { method: 'POST', path: '/llm/test', security: ['ApiKeyAuth', 'ProviderApiKeys'], body: 'llmTest', handler: this._testLLM }
+    ].map(route => ({
+      ...route,
+      pattern: new RegExp(`^${route.path.replace(/\{(\w+)\}/g, '(?<$1>[^/]+)')}$`)
+    }));
+
+    this.handler = this.handler.bind(this);
+  }
+
+  // Request listener for http.createServer(), or middleware for Express and
+  // Connect: requests outside the API are passed to `next` when given
+  async handler(req, res, next) {
+    const url = new URL(req.url, 'http://localhost');
+    const basePath = this.options.basePath.replace(/\/$/, '');
+    if (basePath && url.pathname !== basePath && !url.pathname.startsWith(`${basePath}/`)) {
+      return next ? next() : this._send(res, 404, this._errorBody(new HttpError(404, 'NOT_FOUND', `Not found: ${url.pathname}`)));
+    }
+
+    this._applyCors(req, res);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      return res.end();
+    }
+
+    const path = url.pathname.slice(basePath.length) || '/';
+    try {
+      const matches = this.routes.filter(route => route.pattern.test(path));
+      if (!matches.length) {
+        if (next) return next();
+        throw new HttpError(404, 'NOT_FOUND', `Not found: ${path}`);
+      }
+      const route = matches.find(candidate => candidate.method === req.method);
+      if (!route) {
+        res.setHeader('Allow', matches.map(candidate => candidate.method).join(', '));
+        throw new HttpError(405, 'METHOD_NOT_ALLOWED', `Method ${req.method} is not allowed on ${path}`);
+      }
+
+      const auth = await this._authorize(req, route);
+      const body = route.body ? await this._readBody(req, route) : undefined;
+      if (route.body) this._validate(body, SCHEMAS[route.body], 'request body');
+
+      const params = {};
+      Object.entries(route.pattern.exec(path).groups || {}).forEach(([name, value]) => {
+        params[name] = decodeURIComponent(value);
+      });
+      const { status = 200, body: result } = await route.handler.call(this, { req, params, body, auth });
+      this._send(res, status, result);
+    } catch (error) {
+      this._sendError(res, error);
+    }
+  }
+
+  // Start listening; resolves to the http.Server
+  listen(port = 3000, host) {
+    this.server = http.createServer(this.handler);
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve(this.server);
+      });
+    });
+  }
+
+  close() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  // Agents
+
+  async _listAgents() {
+    return { body: this.worksona.getAllAgents().map(agent => this._serializeAgent(agent)) };
+  }
+
+  async _createAgent({ body }) {
+    if (this.worksona.getAgent(body.id)) {
+      throw new HttpError(400, 'AGENT_EXISTS', `Agent already exists: ${body.id}`);
+    }
+    const agent = await this.worksona.loadAgent(this._withLLMDefaults(body));
+    return { status: 201, body: this._serializeAgent(agent) };
+  }
+
+  async _getAgent({ params }) {
+    return { body: this._serializeAgent(this._findAgent(params.agentId)) };
+  }
+
+  async _updateAgent({ params, body }) {
+    const previous = this._findAgent(params.agentId).toJSON();
+    if (body.id !== params.agentId) {
+      throw new HttpError(400, 'INVALID_REQUEST', `Agent id "${body.id}" does not match the path (${params.agentId})`);
+    }
+    const agent = await this.worksona.loadAgent(this._withLLMDefaults(body));
+    // loadAgent only carries history over when storage is configured; an
+    // update keeps the agent's threads, transactions and metrics either way
+    agent.restore(previous);
+    return { body: this._serializeAgent(agent) };
+  }
+
+  // Chat and documents
+
+  // `context` supplies prompt template variables; `context.threadId`
+  // continues a conversation thread
+  async _chat({ params, body, auth }) {
+    this._findAgent(params.agentId);
+    const context = body.context || {};
+    const options = { variables: context };
+    if (typeof context.threadId === 'string') options.threadId = context.threadId;
+
+    const response = await auth.worksona.chat(params.agentId, body.message, options);
+    return {
+      body: {
+        role: 'assistant',
+        content: typeof response === 'string' ? response : JSON.stringify(response),
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  // Text documents are sent to the agent's chat model, images to its vision
+  // model. `options` may carry a `prompt`, template `variables`, a
+  // `threadId` and an `outputSchema`; structured output is returned as
+  // `analysis`.
+  async _processDocument({ body, auth }) {
+    const agent = this._findAgent(body.agentId);
+    const { file } = body;
+    const options = body.options || {};
+    const mimeType = file.type || 'application/octet-stream';
+    const started = new Date();
+    const startTime = started.getTime();
+    const callOptions = {};
+    ['variables', 'threadId', 'outputSchema'].forEach(key => {
+      if (options[key] !== undefined) callOptions[key] = options[key];
+    });
+
+    let result;
+    let kind;
+    let query;
+    if (mimeType.startsWith('image/')) {
+      kind = 'image';
+      query = options.prompt || null;
+      const imageData = `data:${mimeType};base64,${file.data.toString('base64')}`;
+      result = await auth.worksona.processImage(agent.id, imageData, { ...callOptions, prompt: options.prompt });
+    } else if (TEXT_TYPES.test(mimeType) || TEXT_EXTENSIONS.test(file.filename || '')) {
+      kind = 'text';
+      const prompt = options.prompt || 'Analyze and process the following document content comprehensively according to your expertise:';
+      query = `${prompt}\n\n${file.data.toString('utf8')}`;
+      result = await auth.worksona.chat(agent.id, query, callOptions);
+    } else {
+      throw new HttpError(400, 'UNSUPPORTED_DOCUMENT', `Unsupported document type: ${mimeType}`);
+    }
+
+    // The call's transaction holds the provider and model that answered,
+    // which differ from the agent's config after a fallback
+    const transaction = auth.worksona.getAgentHistory(agent.id)
+      .filter(entry => entry.query === query && entry.timestamp >= started)
+      .pop() || {};
+    const structured = typeof result !== 'string';
+    return {
+      body: {
+        content: structured ? JSON.stringify(result) : result,
+        metadata: {
+          filename: file.filename || null,
+          mimeType,
+          size: file.data.length,
+          type: kind,
+          agentId: agent.id,
+          provider: transaction.provider || agent.config.provider || this.worksona.options.defaultProvider,
+          model: transaction.model || agent.config.model || null,
+          duration: Date.now() - startTime
+        },
+        analysis: structured ? result : {}
+      }
+    };
+  }
+
+  // LLM configuration
+
+  async _getLLMConfig() {
+    return { body: this.llmConfig };
+  }
+
+  // Settings apply as defaults to agents created or updated afterwards
+  async _updateLLMConfig({ body }) {
+    const provider = body.provider || (body.config && body.config.provider);
+    if (!provider) {
+      throw new HttpError(400, 'INVALID_REQUEST', 'Specify a provider in "provider" or "config.provider"');
+    }
+    if (body.config && body.config.provider && body.config.provider !== provider) {
+      throw new HttpError(400, 'INVALID_REQUEST', `config.provider "${body.config.provider}" does not match provider "${provider}"`);
+    }
+    this.llmConfig[provider] = { ...this.llmConfig[provider], ...body.config, provider };
+    return { body: this.llmConfig[provider] };
+  }
+
+  async _testLLM({ body, auth }) {
+    const { provider } = body;
+    const result = await auth.worksona.testConnection(provider);
+    return {
+      body: {
+        available: result.ok,
+        model: this.llmConfig[provider].model,
+        ...(result.error && { error: result.error })
+      }
+    };
+  }
+
+  // Helpers
+
+  _findAgent(agentId) {
+    const agent = this.worksona.getAgent(agentId);
+    if (!agent) throw new HttpError(404, 'AGENT_NOT_FOUND', `Agent not found: ${agentId}`);
+    return agent;
+  }
+
+  // An agent as the spec's Agent schema: the definition without history
+  _serializeAgent(agent) {
+    const configKeys = Object.keys(Worksona.agentSchema.properties.config.properties);
+    const config = {};
+    configKeys.forEach(key => {
+      if (agent.config[key] !== undefined) config[key] = agent.config[key];
+    });
+    return {
+      id: agent.id,
+      name: agent.name,
+      description: agent.description || '',
+      ...(agent.traits && { traits: agent.traits }),
+      config: JSON.parse(JSON.stringify(config))
+    };
+  }
+
+  _defaultLLMConfig(provider) {
+    const adapter = this.worksona.providers[provider];
+    // Same as the adapters' defaultModels, for providers without a key yet
+    const defaults = { openai: 'gpt-4o', anthropic: 'claude-3-opus-20240229', google: 'gemini-pro' };
+    return {
+      model: (adapter && adapter.defaultModels && adapter.defaultModels.chat) || defaults[provider],
+      temperature: 0.7,
+      maxTokens: 500
+    };
+  }
+
+  // Fill temperature and maxTokens the agent leaves out from /llm/config
+  _withLLMDefaults(definition) {
+    const defaults = this.llmConfig[definition.config.provider] || {};
+    const config = { ...definition.config };
+    ['temperature', 'maxTokens'].forEach(key => {
+      if (config[key] === undefined && defaults[key] !== undefined) config[key] = defaults[key];
+    });
+    return { ...definition, config };
+  }
+
+  // Check the route's security schemes. Resolves to { apiKey, providerKeys,
+  // worksona }, where `worksona` is the instance (or a view with the
+  // client's provider keys) to serve the request with.
+  async _authorize(req, route) {
+    const apiKey = req.headers['x-api-key'];
+    const validKey = apiKey ? await this._checkApiKey(apiKey, req) : false;
+    if (apiKey && !validKey) {
+      throw new HttpError(401, 'UNAUTHORIZED', 'Invalid API key');
+    }
+
+    const header = req.headers['x-provider-keys'];
+    const acceptsProviderKeys = this.options.providerKeys && route.security.includes('ProviderApiKeys');
+    const providerKeys = header && acceptsProviderKeys ? this._parseProviderKeys(header) : null;
+
+    if (!validKey && !providerKeys && !this.options.allowAnonymous) {
+      const accepted = acceptsProviderKeys ? 'an X-API-Key or X-Provider-Keys header' : 'an X-API-Key header';
+      throw new HttpError(401, 'UNAUTHORIZED', `This endpoint requires ${accepted}`);
+    }
+
+    return {
+      apiKey: validKey ? apiKey : null,
+      providerKeys,
+      worksona: providerKeys
+        ? this.worksona.withApiKeys(providerKeys, { inherit: validKey || this.options.allowAnonymous })
+        : this.worksona
+    };
+  }
+
+  async _checkApiKey(key, req) {
+    if (this.options.authenticate) {
+      return !!(await this.options.authenticate(key, req));
+    }
+    const given = crypto.createHash('sha256').update(key).digest();
+    return this.options.apiKeys.some(candidate =>
+      crypto.timingSafeEqual(given, crypto.createHash('sha256').update(candidate).digest())
+    );
+  }
+
+  // X-Provider-Keys carries a JSON object: { "openai": "sk-...", ... }
+  _parseProviderKeys(header) {
+    let keys;
+    try {
+      keys = JSON.parse(header);
+    } catch (error) {
+      throw new HttpError(400, 'INVALID_PROVIDER_KEYS', 'X-Provider-Keys must be a JSON object of provider API keys');
+    }
+    const errors = this.worksona._validateSchema(keys, {
+      type: 'object',
+      properties: Object.fromEntries(PROVIDERS.map(provider => [provider, { type: 'string', minLength: 1 }])),
+      additionalProperties: false,
+      minProperties: 1
+    }, 'X-Provider-Keys');
+    if (errors.length) {
+      throw new HttpError(400, 'INVALID_PROVIDER_KEYS', 'X-Provider-Keys is invalid', { errors });
+    }
+    return keys;
+  }
+
+  async _readBody(req, route) {
+    const type = (req.headers['content-type'] || '').toLowerCase();
+    const expected = route.multipart ? 'multipart/form-data' : 'application/json';
+    if (!type.startsWith(expected)) {
+      throw new HttpError(400, 'INVALID_REQUEST', `Request body must be ${expected}`);
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > this.options.maxBodySize) {
+        throw new HttpError(413, 'PAYLOAD_TOO_LARGE', `Request body exceeds ${this.options.maxBodySize} bytes`);
+      }
+      chunks.push(chunk);
+    }
+    const buffer = Buffer.concat(chunks);
+
+    if (route.multipart) return this._parseMultipart(buffer, type);
+    if (!buffer.length) throw new HttpError(400, 'INVALID_REQUEST', 'Request body is required');
+    try {
+      return JSON.parse(buffer.toString('utf8'));
+    } catch (error) {
+      throw new HttpError(400, 'INVALID_REQUEST', `Request body is not valid JSON: ${error.message}`);
+    }
+  }
+
+  // Parse multipart/form-data. File parts become { filename, type, data }
+  // with a Buffer; the `options` field is parsed as JSON.
+  _parseMultipart(buffer, contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType);
+    if (!match) throw new HttpError(400, 'INVALID_REQUEST', 'multipart/form-data body has no boundary');
+    const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+
+    const fields = {};
+    let start = buffer.indexOf(delimiter);
+    while (start !== -1) {
+      const partStart = start + delimiter.length;
+      if (buffer.slice(partStart, partStart + 2).toString() === '--') break;
+      const end = buffer.indexOf(delimiter, partStart);
+      if (end === -1) break;
+
+      // Each part: CRLF, headers, blank line, content, CRLF
+      const part = buffer.slice(partStart + 2, end - 2);
+      const headerEnd = part.indexOf('\r\n\r\n');
+      if (headerEnd !== -1) {
+        const headers = part.slice(0, headerEnd).toString('utf8');
+        const data = part.slice(headerEnd + 4);
+        const name = /name="([^"]*)"/i.exec(headers);
+        const filename = /filename="([^"]*)"/i.exec(headers);
+        const type = /content-type:\s*([^\r\n;]+)/i.exec(headers);
+        if (name) {
+          fields[name[1]] = filename
+            ? { filename: filename[1], type: type ? type[1].trim().toLowerCase() : null, data }
+            : data.toString('utf8');
+        }
+      }
+      start = end;
+    }
+
+    if (typeof fields.options === 'string') {
+      try {
+        fields.options = fields.options ? JSON.parse(fields.options) : {};
+      } catch (error) {
+        throw new HttpError(400, 'INVALID_REQUEST', `"options" is not valid JSON: ${error.message}`);
+      }
+    }
+    return fields;
+  }
+
+  _validate(value, schema, location) {
+    const errors = this.worksona._validateSchema(value, schema, location);
+    if (errors.length) {
+      throw new HttpError(400, 'VALIDATION_ERROR', `Invalid ${location}: ${errors[0].path} ${errors[0].message}`, { errors });
+    }
+  }
+
+  _applyCors(req, res) {
+    const { cors } = this.options;
+    const origin = req.headers.origin;
+    if (!cors || !origin) return;
+    if (cors !== '*' && !cors.includes(origin)) return;
+    res.setHeader('Access-Control-Allow-Origin', cors === '*' ? '*' : origin);
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, X-Provider-Keys');
+  }
+
+  // Errors as the spec's Error schema: { code, message, details }
+  _errorBody(error) {
+    return {
+      code: error.code || 'INTERNAL_ERROR',
+      message: error.message || 'An unknown error occurred',
+      ...(error.details && { details: error.details })
+    };
+  }
+
+  _sendError(res, error) {
+    const status = error instanceof HttpError ? error.status : ERROR_STATUS[error.code] || 500;
+    if (status === 500) this.worksona._log(`Server error: ${error.message}`, 'error');
+    this._send(res, status, this._errorBody(status === 500 && !error.code ? { message: 'Internal server error' } : error));
+  }
+
+  _send(res, status, body) {
+    if (res.headersSent) return res.end();
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+// Create an http.Server serving the API for `worksona`
+function createServer(worksona, options = {}) {
+  return http.createServer(new WorksonaServer(worksona, options).handler);
+}
+
+module.exports = { WorksonaServer, createServer, schemas: SCHEMAS };
+
+// `node worksona-server.js` serves the agents in ./agents (or
+// WORKSONA_AGENTS_DIR) on PORT (default 3000). Clients authenticate with one
+// of the comma-separated WORKSONA_API_KEYS; provider keys come from
+// OPENAI_API_KEY, ANTHROPIC_API_KEY and GOOGLE_API_KEY.
+if (require.main === module) {
+  const worksona = new Worksona({ debug: !!process.env.WORKSONA_DEBUG });
+  const apiKeys = (process.env.WORKSONA_API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean);
+  if (!apiKeys.length) {
+    console.error('[Worksona] Set WORKSONA_API_KEYS to the comma-separated API keys clients may use');
+    process.exit(1);
+  }
+  const server = new WorksonaServer(worksona, { apiKeys, cors: process.env.WORKSONA_CORS_ORIGIN || false });
+  const port = Number(process.env.PORT) || 3000;
+
+  worksona.loadAgentsFromDirectory(process.env.WORKSONA_AGENTS_DIR || 'agents')
+    .catch(error => console.warn(`[Worksona] Could not load agents: ${error.message}`))
+    .then(() => server.listen(port))
+    .then(() => console.log(`[Worksona] API listening on http://localhost:${port}${server.options.basePath}`))
+    .catch(error => {
+      console.error(`[Worksona] ${error.message}`);
+      process.exitCode = 1;
+    });
+}
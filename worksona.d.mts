@@ -0,0 +1,4 @@
+import Worksona = require('./worksona.js');
+
+export default Worksona;
+export { Worksona };
@@ -0,0 +1,714 @@
+/**
+ * Worksona.js - TypeScript declarations
+ */
+
+declare namespace Worksona {
+  type Role = 'user' | 'assistant';
+
+  interface Example {
+    user: string;
+    assistant: string;
+  }
+
+  interface Traits {
+    personality?: string[];
+    knowledge?: string[];
+    tone?: string;
+    background?: string;
+    [trait: string]: string | string[] | undefined;
+  }
+
+  type PersonaMode = 'off' | 'prepend' | 'append' | 'fallback' | 'replace';
+
+  interface RetryPolicy {
+    maxAttempts?: number;
+    baseDelayMs?: number;
+    maxDelayMs?: number;
+    jitter?: boolean;
+    retryOn?: number[];
+  }
+
+  interface Budget {
+    maxCost?: number;
+    maxTokens?: number;
+  }
+
+  type FallbackTarget = string | { provider: string; model?: string };
+
+  interface AgentSettings extends GenerationOptions {
+    provider?: string;
+    model?: string;
+    organization?: string;
+    /** Model for generateImage, e.g. 'dall-e-3', 'gpt-image-1' or 'imagen-3.0-generate-002'. */
+    imageModel?: string;
+    /** Defaults for image generation options. */
+    imageOptions?: ImageGenerationOptions;
+    systemPrompt?: string;
+    personaMode?: PersonaMode;
+    variables?: Record<string, unknown>;
+    partials?: Record<string, string>;
+    examples?: Example[];
+    fallbacks?: FallbackTarget[];
+    tools?: Array<string | ToolDefinition>;
+    outputSchema?: JsonSchema;
+    maxRepairAttempts?: number;
+    maxToolIterations?: number;
+    maxHistoryMessages?: number;
+    maxTransactions?: number;
+    timeoutMs?: number;
+    retry?: RetryPolicy;
+    budget?: Budget;
+  }
+
+  /** An agent definition as found in agents/*.json (see agents/agent.schema.json). */
+  interface AgentDefinition {
+    $schema?: string;
+    schemaVersion?: number;
+    id: string;
+    name: string;
+    description?: string;
+    traits?: Traits;
+    capabilities?: string[];
+    metadata?: Record<string, unknown>;
+    config?: AgentSettings;
+  }
+
+  type JsonSchema = Record<string, any> | boolean;
+
+  interface SchemaError {
+    path: string;
+    message: string;
+  }
+
+  interface AgentValidationResult {
+    valid: boolean;
+    errors: SchemaError[];
+    definition: AgentDefinition;
+    migratedFrom?: number | null;
+  }
+
+  interface Usage {
+    promptTokens: number;
+    completionTokens: number;
+    totalTokens: number;
+  }
+
+  interface ToolCallRecord {
+    id: string;
+    name: string;
+    arguments: Record<string, unknown>;
+    result: unknown;
+    error: string | null;
+    duration: number;
+  }
+
+  interface Transaction {
+    timestamp: Date;
+    query: unknown;
+    response: string | null;
+    duration: number;
+    error: unknown;
+    provider: string;
+    model?: string;
+    threadId: string | null;
+    stream?: boolean;
+    status?: 'success' | 'error' | 'timeout' | 'cancelled';
+    cancelled?: boolean;
+    output?: unknown;
+    usage?: Usage;
+    cost?: number | null;
+    retries?: number;
+    repairs?: number;
+    toolCalls?: ToolCallRecord[];
+    fallbacks?: Array<{ provider: string; model?: string; error: string }>;
+    /** Set on image analyses, generations, edits and variations. */
+    type?: 'image-analysis' | 'image-generation' | 'image-edit' | 'image-variation';
+    /** Image URLs; base64 images are described instead of stored. */
+    images?: string[];
+    revisedPrompts?: string[];
+  }
+
+  interface Metrics extends Usage {
+    totalQueries: number;
+    avgResponseTime: number;
+    lastActive: Date | null;
+    successRate: number;
+    errorCount: number;
+    cancelledCount: number;
+    estimatedCost: number;
+  }
+
+  interface AgentState {
+    isActive: boolean;
+    currentProvider: string;
+    currentModel?: string;
+    currentThread: string | null;
+    lastError: unknown;
+  }
+
+  interface ThreadMessage {
+    role: Role;
+    content: string;
+    timestamp: Date;
+  }
+
+  interface Thread {
+    id: string;
+    parentId: string | null;
+    messages: ThreadMessage[];
+    createdAt: Date;
+    updatedAt: Date;
+  }
+
+  class Agent {
+    constructor(config: AgentDefinition, options?: { maxTransactions?: number });
+    id: string;
+    name: string;
+    description?: string;
+    config: AgentSettings & Partial<AgentDefinition>;
+    systemPrompt?: string;
+    examples: Example[];
+    traits?: Traits;
+    transactions: Transaction[];
+    threads: Map<string, Thread>;
+    maxTransactions: number;
+    metrics: Metrics;
+    state: AgentState;
+    addTransaction(transaction: Transaction): void;
+    getHistory(): Transaction[];
+    getThread(threadId: string, create?: boolean): Thread | null;
+    appendToThread(threadId: string, ...messages: Array<{ role: Role; content: string }>): Thread;
+    listThreads(): Thread[];
+    forkThread(threadId: string, newThreadId: string, uptoIndex?: number): Thread | null;
+    clearThread(threadId: string): boolean;
+    deleteThread(threadId: string): boolean;
+    getMetrics(): Metrics;
+    getState(): AgentState;
+    toJSON(): Record<string, unknown>;
+    restore(data: Record<string, unknown>): this;
+  }
+
+  /** The lowest harm probability that is blocked ('none' blocks nothing). */
+  type SafetyLevel = 'none' | 'high' | 'medium' | 'low';
+
+  /** Generation settings, set in the agent config or per call; unset ones use the provider's defaults. */
+  interface GenerationOptions {
+    temperature?: number;
+    maxTokens?: number;
+    topP?: number;
+    topK?: number;
+    frequencyPenalty?: number;
+    presencePenalty?: number;
+    stop?: string | string[];
+    seed?: number;
+    /** Reply with a JSON object, without a particular schema. */
+    jsonMode?: boolean;
+    /** Content filters (Google only). */
+    safety?: SafetyLevel | { harassment?: SafetyLevel; hateSpeech?: SafetyLevel; sexuallyExplicit?: SafetyLevel; dangerousContent?: SafetyLevel };
+  }
+
+  interface CancellationOptions {
+    signal?: AbortSignal;
+    /** Abort after this many milliseconds; defaults to the agent's, then the instance's timeoutMs. */
+    timeoutMs?: number;
+  }
+
+  interface ChatOptions extends GenerationOptions, CancellationOptions {
+    provider?: string;
+    threadId?: string;
+    sessionId?: string;
+    maxHistoryMessages?: number;
+    outputSchema?: JsonSchema;
+    maxRepairAttempts?: number;
+    tools?: Array<string | ToolDefinition>;
+    maxToolIterations?: number;
+    fallbacks?: FallbackTarget[];
+    retry?: RetryPolicy;
+    variables?: Record<string, unknown>;
+    partials?: Record<string, string>;
+    personaMode?: PersonaMode;
+    [option: string]: unknown;
+  }
+
+  interface ToolDefinition {
+    name?: string;
+    description?: string;
+    parameters?: JsonSchema;
+    handler?: (args: any, context: ToolContext) => unknown;
+  }
+
+  interface ToolContext {
+    agent: Agent;
+    agentId: string;
+    toolCall: { id: string; name: string; arguments: Record<string, unknown> };
+    signal?: AbortSignal;
+  }
+
+  interface ProviderContext {
+    history: Array<{ role: Role; content: string }>;
+    options: ChatOptions;
+    signal?: AbortSignal;
+    tools?: ToolDefinition[];
+    toolTurns?: unknown[];
+    outputSchema?: JsonSchema;
+    transaction?: Transaction;
+    usage?: Usage;
+    /** Resolved generation settings: call options, then agent config, then defaults. */
+    generation: GenerationOptions & { stop?: string[] };
+    fetch(url: string, init?: RequestInit): Promise<Response>;
+  }
+
+  interface ProviderResult {
+    content: string;
+    toolCalls?: Array<{ id: string; name: string; arguments: Record<string, unknown> }>;
+    usage?: Usage;
+  }
+
+  /** An image URL, data URI or base64 string, binary image data, or an object naming one. */
+  type ImageInput =
+    | string
+    | Blob
+    | ArrayBuffer
+    | ArrayBufferView
+    | { url: string }
+    | { imageUrl: string }
+    | { data: string | Blob | ArrayBuffer | ArrayBufferView; mimeType?: string };
+
+  /** Image input as passed to adapters: a URL, or base64 data with its MIME type. */
+  type NormalizedImage = { url: string } | { mimeType: string; data: string };
+
+  /** Fractions (0-1) of the image width and height. */
+  interface BoundingBox {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+  }
+
+  interface ImageTaskOptions extends CancellationOptions {
+    /** Instructions added to the task's own. */
+    prompt?: string;
+    variables?: Record<string, unknown>;
+    detail?: 'low' | 'high' | 'auto';
+    [key: string]: unknown;
+  }
+
+  interface ImageGenerationOptions extends CancellationOptions {
+    model?: string;
+    n?: number;
+    /** OpenAI, e.g. '1024x1024'. */
+    size?: string;
+    /** DALL-E 3 ('standard' | 'hd') and GPT Image ('low' | 'medium' | 'high' | 'auto'). */
+    quality?: string;
+    /** DALL-E 3. */
+    style?: 'vivid' | 'natural';
+    response_format?: 'url' | 'b64_json';
+    /** Imagen, e.g. '16:9'. */
+    aspectRatio?: string;
+    [key: string]: unknown;
+  }
+
+  interface ImageEditOptions extends ImageGenerationOptions {
+    /** Transparent areas mark where the image may be edited. */
+    mask?: ImageInput;
+  }
+
+  interface ImageText {
+    text: string;
+    blocks: Array<{ text: string; confidence: number; boundingBox: BoundingBox }>;
+  }
+
+  interface DetectedObject {
+    label: string;
+    confidence: number;
+    boundingBox: BoundingBox;
+  }
+
+  interface ImageClassification {
+    label: string;
+    confidence: number;
+    labels: Array<{ label: string; confidence: number }>;
+  }
+
+  /** What image adapters resolve to: image URLs or data URIs, with the model actually used. */
+  type ProviderImageResult = string | string[] | { images: string[]; revisedPrompts?: string[]; model?: string };
+
+  interface ProviderAdapter {
+    displayName?: string;
+    chat(agent: Agent, message: unknown, context: ProviderContext): Promise<string | ProviderResult>;
+    stream?(agent: Agent, message: unknown, context: ProviderContext): AsyncIterable<string>;
+    /** Resolves to the reply text, or with usage and the model actually used. */
+    vision?(agent: Agent, images: NormalizedImage[], context: ProviderContext): Promise<string | { content: string; usage?: Usage; model?: string }>;
+    generateImage?(agent: Agent, prompt: string, context: ProviderContext): Promise<ProviderImageResult>;
+    editImage?(agent: Agent, imageData: ImageInput, prompt: string, context: ProviderContext): Promise<ProviderImageResult>;
+    variationImage?(agent: Agent, imageData: ImageInput, context: ProviderContext): Promise<ProviderImageResult>;
+    listModels?(context?: ProviderContext): Promise<ModelInfo[]>;
+    testConnection?(context?: ProviderContext): Promise<{ ok: boolean; status?: number; error?: string }>;
+    defaultModels?: { chat?: string; vision?: string; image?: string };
+  }
+
+  interface ModelInfo {
+    id: string;
+    name?: string;
+    capabilities: string[];
+  }
+
+  interface ConnectionStatus {
+    provider: string;
+    ok: boolean;
+    latency: number | null;
+    error?: string;
+    testedAt: Date;
+  }
+
+  type ProviderFactory = (worksona: Worksona) => ProviderAdapter | null;
+
+  interface ProviderInfo {
+    name: string;
+    displayName: string;
+    available: boolean;
+    capabilities: string[];
+    defaultModels: { chat?: string; vision?: string; image?: string };
+  }
+
+  interface StorageAdapter {
+    get(key: string): Promise<any>;
+    set(key: string, value: any): Promise<void>;
+    delete(key: string): Promise<void>;
+    keys(): Promise<string[]>;
+  }
+
+  type StorageName = 'memory' | 'localStorage' | 'indexedDB' | 'file';
+
+  type ApiKeys = { openai?: string; anthropic?: string; google?: string; [provider: string]: string | undefined };
+
+  interface KeyProvider {
+    load(): Promise<ApiKeys>;
+    save(keys: ApiKeys): Promise<void>;
+    clear(): Promise<void>;
+    /** Providers that encrypt keys */
+    readonly locked?: boolean;
+    unlock?(passphrase: string): Promise<ApiKeys>;
+    lock?(): void;
+    /** Route provider calls elsewhere, e.g. through a backend */
+    prepareRequest?(provider: string, url: string, init: RequestInit): Promise<{ url: string; init: RequestInit }>;
+  }
+
+  type KeyProviderName = 'memory' | 'session' | 'encrypted' | 'proxy';
+
+  interface KeyProviderOptions {
+    /** session: the Storage to use (default sessionStorage) */
+    store?: Storage;
+    /** session: storage key; encrypted: record key */
+    key?: string;
+    /** encrypted: where the ciphertext is kept (default localStorage in browsers) */
+    storage?: StorageName | StorageAdapter;
+    storageOptions?: StorageOptions;
+    /** encrypted: PBKDF2 iterations for a new passphrase */
+    iterations?: number;
+    /** proxy: base URL that provider calls are sent to */
+    url?: string;
+    /** proxy: endpoint issuing short-lived bearer tokens */
+    tokenUrl?: string;
+    /** proxy: providers served by the backend */
+    providers?: string[];
+    headers?: Record<string, string>;
+    credentials?: RequestCredentials;
+  }
+
+  interface StorageOptions {
+    prefix?: string;
+    store?: Storage;
+    dbName?: string;
+    storeName?: string;
+    directory?: string;
+  }
+
+  type MockResponse =
+    | string
+    | {
+        content?: unknown;
+        toolCalls?: Array<{ id?: string; name: string; arguments?: Record<string, unknown> }>;
+        usage?: Usage;
+        delayMs?: number;
+        chunkDelayMs?: number;
+        error?: { status?: number; message?: string; code?: string };
+        match?: string | RegExp | ((message: string, agent: Agent) => boolean);
+        agent?: string;
+        repeat?: boolean;
+      }
+    | ((message: unknown, context: { agent: Agent; history: unknown[]; toolTurns: unknown[] }) => unknown);
+
+  interface MockCall {
+    agentId: string;
+    model?: string;
+    message: unknown;
+    systemPrompt?: string;
+    history: Array<{ role: Role; content: string }>;
+    toolTurns: unknown[];
+    tools: string[];
+    timestamp: Date;
+  }
+
+  interface Options {
+    apiKeys?: ApiKeys;
+    keyProvider?: KeyProviderName | KeyProvider | null;
+    keyProviderOptions?: KeyProviderOptions;
+    debug?: boolean;
+    controlPanel?: boolean;
+    defaultProvider?: string;
+    defaultModel?: string;
+    envKeys?: boolean;
+    providers?: Record<string, ProviderAdapter | ProviderFactory>;
+    maxToolIterations?: number;
+    retry?: RetryPolicy;
+    timeoutMs?: number;
+    rateLimits?: Record<string, { requestsPerMinute?: number; tokensPerMinute?: number }>;
+    pricing?: Record<string, { input: number; output: number }>;
+    budget?: Budget;
+    storage?: StorageName | StorageAdapter | null;
+    storageOptions?: StorageOptions;
+    maxTransactions?: number;
+    validateAgents?: boolean;
+    personaMode?: PersonaMode;
+    partials?: Record<string, string>;
+    mock?: {
+      responses?: MockResponse[];
+      latencyMs?: number | [number, number];
+      chunkDelayMs?: number;
+      defaultResponse?: MockResponse;
+    };
+    recording?: {
+      mode?: 'record' | 'replay' | 'auto';
+      storage?: StorageName | StorageAdapter;
+      storageOptions?: StorageOptions;
+    };
+  }
+
+  interface WorksonaError {
+    message: string;
+    code: string;
+    originalError: unknown;
+    details?: unknown;
+  }
+
+  interface AgentLoadResults {
+    loaded: Agent[];
+    failed: Array<{ source: string; error: WorksonaError }>;
+  }
+
+  interface UsageSummary extends Usage {
+    estimatedCost: number;
+    agents: Array<Usage & { agentId: string; estimatedCost: number }>;
+  }
+
+  interface WorkflowContext {
+    input: unknown;
+    previous: unknown;
+    steps: Record<string, unknown>;
+  }
+
+  type WorkflowStep =
+    | string
+    | {
+        id?: string;
+        type?: 'agent';
+        agent: string;
+        method?: 'chat' | 'processImage' | 'analyzeImage' | 'extractImageText' | 'detectImageObjects' | 'classifyImage' | 'generateImage';
+        input?: string | ((context: WorkflowContext) => unknown);
+        options?: ChatOptions;
+        description?: string;
+        continueOnError?: boolean;
+      }
+    | {
+        id?: string;
+        type: 'parallel';
+        steps: WorkflowStep[];
+        merge?: (outputs: unknown[], ids: string[]) => unknown;
+        input?: string | ((context: WorkflowContext) => unknown);
+        continueOnError?: boolean;
+      }
+    | {
+        id?: string;
+        type: 'router';
+        agent?: string;
+        select?: (input: unknown, context: { input: unknown; steps: Record<string, unknown>; routes: string[] }) => string | Promise<string>;
+        routes: Record<string, WorkflowStep>;
+        default?: string;
+        options?: ChatOptions;
+        input?: string | ((context: WorkflowContext) => unknown);
+        continueOnError?: boolean;
+      }
+    | {
+        id?: string;
+        type: 'debate';
+        agents: string[];
+        rounds?: number;
+        moderator?: string;
+        prompt?: string;
+        moderatorPrompt?: string;
+        options?: ChatOptions;
+        input?: string | ((context: WorkflowContext) => unknown);
+        continueOnError?: boolean;
+      }
+    | {
+        id?: string;
+        type?: 'function';
+        run: (input: unknown, context: { input: unknown; steps: Record<string, unknown>; worksona: Worksona }) => unknown;
+        input?: string | ((context: WorkflowContext) => unknown);
+        continueOnError?: boolean;
+      };
+
+  interface WorkflowDefinition {
+    id?: string;
+    name?: string;
+    steps: WorkflowStep[];
+  }
+
+  interface TraceEntry {
+    stepId: string;
+    type: string;
+    agentId: string | null;
+    parentId: string | null;
+    input: unknown;
+    output: unknown;
+    error: unknown;
+    startedAt: Date;
+    duration: number;
+    decision?: { route: string; reason: string | null };
+  }
+
+  interface WorkflowResult {
+    runId: string;
+    output: unknown;
+    trace: TraceEntry[];
+    duration: number;
+  }
+
+  class Workflow {
+    constructor(worksona: Worksona, definition: WorkflowDefinition);
+    id: string;
+    name: string;
+    run(input: unknown, options?: { variables?: Record<string, unknown>; signal?: AbortSignal }): Promise<WorkflowResult>;
+  }
+}
+
+declare class Worksona {
+  constructor(options?: Worksona.Options);
+
+  static keyProviders: Record<Worksona.KeyProviderName, (options?: Worksona.KeyProviderOptions) => Worksona.KeyProvider>;
+  static storageAdapters: Record<Worksona.StorageName, (options?: Worksona.StorageOptions) => Worksona.StorageAdapter>;
+  static agentSchema: Record<string, any>;
+  static agentSchemaVersion: number;
+
+  options: Worksona.Options & Required<Pick<Worksona.Options, 'apiKeys' | 'defaultProvider' | 'defaultModel'>>;
+  agents: Map<string, Worksona.Agent>;
+  providers: Record<string, Worksona.ProviderAdapter>;
+  keyProvider: Worksona.KeyProvider | null;
+  /** Resolves once saved API keys are loaded and persisted agents restored. */
+  ready: Promise<void>;
+
+  // API keys
+  setApiKeys(keys: Worksona.ApiKeys, options?: { persist?: boolean }): Promise<this>;
+  unlockKeys(passphrase: string): Promise<this>;
+  lockKeys(): void;
+  clearApiKeys(): Promise<void>;
+
+  // Providers
+  registerProvider(name: string, adapter: Worksona.ProviderAdapter | Worksona.ProviderFactory, options?: { displayName?: string }): this;
+  unregisterProvider(name: string): boolean;
+  getProviders(): Worksona.ProviderInfo[];
+  listModels(provider: string, options?: Worksona.CancellationOptions & { refresh?: boolean }): Promise<Worksona.ModelInfo[]>;
+  /** Never rejects: failures are reported as `ok: false` with an error message. */
+  testConnection(provider: string, options?: Worksona.CancellationOptions): Promise<Worksona.ConnectionStatus>;
+  /** A view sharing this instance's agents and state that calls providers with other API keys. */
+  withApiKeys(apiKeys: Worksona.ApiKeys, options?: { inherit?: boolean }): Worksona;
+
+  // Agents
+  validateAgent(config: unknown): Worksona.AgentValidationResult;
+  loadAgent(config: Worksona.AgentDefinition): Promise<Worksona.Agent | null>;
+  loadAgentFromUrl(url: string): Promise<Worksona.Agent | null>;
+  loadAgentsFromDirectory(directory: string): Promise<Worksona.AgentLoadResults | null>;
+  loadAgentBundle(
+    bundle: string | { defaults?: Partial<Worksona.AgentDefinition>; agents: Array<string | Worksona.AgentDefinition> },
+    options?: { baseUrl?: string }
+  ): Promise<Worksona.AgentLoadResults | null>;
+  getAgent(agentId: string): Worksona.Agent | undefined;
+  getAllAgents(): Worksona.Agent[];
+  getAgents(): Worksona.Agent[];
+  removeAgent(agentId: string): boolean;
+  getAgentHistory(agentId: string): Worksona.Transaction[];
+  getAgentMetrics(agentId: string): Worksona.Metrics | null;
+  getAgentState(agentId: string): Worksona.AgentState | null;
+
+  // Chat
+  chat<T = string>(agentId: string, message: unknown, options?: Worksona.ChatOptions): Promise<T | null>;
+  chatStream(agentId: string, message: unknown, options?: Worksona.ChatOptions): AsyncGenerator<string, void, unknown>;
+  /** Aborts in-flight calls to the agent (all agents when omitted); returns how many. */
+  cancelAll(agentId?: string): number;
+
+  // Threads
+  listThreads(agentId: string): Worksona.Thread[];
+  getThread(agentId: string, threadId: string): Worksona.Thread | null;
+  createThread(agentId: string, threadId?: string): string | null;
+  forkThread(agentId: string, threadId: string, options?: { newThreadId?: string; atMessage?: number }): string | null;
+  clearThread(agentId: string, threadId: string): boolean;
+  deleteThread(agentId: string, threadId: string): boolean;
+  resumeThread(agentId: string, threadId: string | null): Worksona.Thread | null;
+
+  // Prompts
+  registerPartial(name: string, template: string): void;
+  unregisterPartial(name: string): boolean;
+  compilePersona(agent: Worksona.Agent): string;
+  getCompiledPrompt(agentId: string, options?: { personaMode?: Worksona.PersonaMode }): string | null;
+
+  // Tools
+  registerTool(
+    name: string,
+    handler: (args: any, context: Worksona.ToolContext) => unknown,
+    definition?: { description?: string; parameters?: Worksona.JsonSchema }
+  ): this;
+  unregisterTool(name: string): boolean;
+  getTools(): Array<Required<Pick<Worksona.ToolDefinition, 'name' | 'description' | 'parameters' | 'handler'>>>;
+
+  // Workflows
+  createWorkflow(definition: Worksona.WorkflowDefinition): Worksona.Workflow | null;
+
+  // Usage and storage
+  getUsage(): Worksona.UsageSummary;
+  flushStorage(): Promise<void>;
+
+  // Mock provider
+  mockResponses(...responses: Worksona.MockResponse[]): void;
+  getMockCalls(): Worksona.MockCall[];
+  resetMock(): void;
+
+  // Images
+  processImage(agentId: string, imageData: Worksona.ImageInput | Worksona.ImageInput[], options?: Worksona.CancellationOptions & Record<string, unknown>): Promise<any>;
+  analyzeImage(agentId: string, imageData: Worksona.ImageInput | Worksona.ImageInput[], options?: Worksona.CancellationOptions & Record<string, unknown>): Promise<any>;
+  extractImageText(agentId: string, imageData: Worksona.ImageInput | Worksona.ImageInput[], options?: Worksona.ImageTaskOptions): Promise<Worksona.ImageText>;
+  detectImageObjects(agentId: string, imageData: Worksona.ImageInput | Worksona.ImageInput[], options?: Worksona.ImageTaskOptions & { labels?: string[] }): Promise<{ objects: Worksona.DetectedObject[] }>;
+  classifyImage(agentId: string, imageData: Worksona.ImageInput | Worksona.ImageInput[], options?: Worksona.ImageTaskOptions & { categories?: string[]; maxLabels?: number }): Promise<Worksona.ImageClassification>;
+  /** Resolves to a URL or data URI, or an array of them when `n` > 1. */
+  generateImage(agentId: string, prompt: string, options?: Worksona.ImageGenerationOptions & { n?: 1 }): Promise<string>;
+  generateImage(agentId: string, prompt: string, options: Worksona.ImageGenerationOptions): Promise<string | string[]>;
+  editImage(agentId: string, imageData: Worksona.ImageInput, prompt: string, options?: Worksona.ImageEditOptions & { n?: 1 }): Promise<string>;
+  editImage(agentId: string, imageData: Worksona.ImageInput, prompt: string, options: Worksona.ImageEditOptions): Promise<string | string[]>;
+  variationImage(agentId: string, imageData: Worksona.ImageInput, options?: Worksona.ImageGenerationOptions & { n?: 1 }): Promise<string>;
+  variationImage(agentId: string, imageData: Worksona.ImageInput, options: Worksona.ImageGenerationOptions): Promise<string | string[]>;
+  getImageHistory(agentId: string): Worksona.Transaction[];
+  /** Converts an image result or input to a Blob, downloading URLs. */
+  imageToBlob(image: Worksona.ImageInput, options?: { signal?: AbortSignal; provider?: string }): Promise<Blob>;
+  imageToFile(image: Worksona.ImageInput, filename?: string, options?: { signal?: AbortSignal; provider?: string }): Promise<File>;
+
+  // Events
+  on(event: string, handler: (data: any) => void): void;
+  off(event: string, handler: (data: any) => void): void;
+
+  // Control panel (browser only; no-ops without a DOM)
+  createControlPanel(containerId: string): void;
+  createFloatingControlPanel(): void;
+  updateControlPanel(): void;
+}
+
+export = Worksona;
@@ -10,7 +10,7 @@
 
 // Agent class for managing agent state and history
 class Agent {
-  constructor(config) {
+  constructor(config, options = {}) {
     this.id = config.id;
     this.name = config.name;
     this.description = config.description;
@@ -38,17 +38,25 @@ class Agent {
     }
     
     this.transactions = [];
+    this.threads = new Map();
+    this.maxTransactions = this.config.maxTransactions || options.maxTransactions || 100;
     this.metrics = {
       totalQueries: 0,
       avgResponseTime: 0,
       lastActive: null,
       successRate: 1.0,
-      errorCount: 0
+      errorCount: 0,
+      cancelledCount: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      estimatedCost: 0
     };
     this.state = {
       isActive: true,
       currentProvider: this.config.provider || 'openai',
       currentModel: this.config.model,
+      currentThread: null,
       lastError: null
     };
   }
@@ -64,16 +72,32 @@ class Agent {
       this.metrics.avgResponseTime = totalTime / this.metrics.totalQueries;
     }
 
+    // Cancelled calls count as neither successes nor errors
+    if (transaction.cancelled) {
+      this.metrics.cancelledCount++;
+    }
+
     // Update success rate if there was an error
     if (transaction.error) {
       this.metrics.errorCount++;
-      this.metrics.successRate = (this.metrics.totalQueries - this.metrics.errorCount) / this.metrics.totalQueries;
+      const completed = this.metrics.totalQueries - this.metrics.cancelledCount;
+      this.metrics.successRate = (completed - this.metrics.errorCount) / completed;
       this.state.lastError = transaction.error;
     }
 
-    // Keep only last 100 transactions to manage memory
-    if (this.transactions.length > 100) {
-      this.transactions = this.transactions.slice(-100);
+    // Accumulate token usage and estimated spend
+    if (transaction.usage) {
+      this.metrics.promptTokens += transaction.usage.promptTokens || 0;
+      this.metrics.completionTokens += transaction.usage.completionTokens || 0;
+      this.metrics.totalTokens += transaction.usage.totalTokens || 0;
+    }
+    if (transaction.cost) {
+      this.metrics.estimatedCost += transaction.cost;
+    }
+
+    // Keep only the most recent transactions to manage memory
+    if (this.transactions.length > this.maxTransactions) {
+      this.transactions = this.transactions.slice(-this.maxTransactions);
     }
   }
 
@@ -81,6 +105,61 @@ class Agent {
     return this.transactions;
   }
 
+  // Get a conversation thread, optionally creating it when missing
+  getThread(threadId, create = false) {
+    if (!this.threads.has(threadId) && create) {
+      const now = new Date();
+      this.threads.set(threadId, {
+        id: threadId,
+        parentId: null,
+        messages: [],
+        createdAt: now,
+        updatedAt: now
+      });
+    }
+    return this.threads.get(threadId) || null;
+  }
+
+  // Append messages ({ role, content }) to a thread
+  appendToThread(threadId, ...messages) {
+    const thread = this.getThread(threadId, true);
+    thread.messages.push(...messages.map(m => ({ ...m, timestamp: m.timestamp || new Date() })));
+    thread.updatedAt = new Date();
+    return thread;
+  }
+
+  listThreads() {
+    return Array.from(this.threads.values());
+  }
+
+  // Copy a thread (up to an optional message index) into a new thread
+  forkThread(threadId, newThreadId, uptoIndex) {
+    const source = this.threads.get(threadId);
+    if (!source) return null;
+
+    const end = uptoIndex === undefined ? source.messages.length : uptoIndex;
+    const fork = this.getThread(newThreadId, true);
+    fork.parentId = threadId;
+    fork.messages = source.messages.slice(0, end).map(m => ({ ...m }));
+    fork.updatedAt = new Date();
+    return fork;
+  }
+
+  clearThread(threadId) {
+    const thread = this.threads.get(threadId);
+    if (!thread) return false;
+    thread.messages = [];
+    thread.updatedAt = new Date();
+    return true;
+  }
+
+  deleteThread(threadId) {
+    if (this.state.currentThread === threadId) {
+      this.state.currentThread = null;
+    }
+    return this.threads.delete(threadId);
+  }
+
   getMetrics() {
     return this.metrics;
   }
@@ -88,468 +167,4337 @@ class Agent {
   getState() {
     return this.state;
   }
+
+  // Plain data for storage: config, history, threads and metrics
+  toJSON() {
+    return {
+      config: this.config,
+      transactions: this.transactions.map(t => ({
+        ...t,
+        error: t.error ? { message: t.error.message, code: t.error.code } : null
+      })),
+      threads: this.listThreads(),
+      metrics: this.metrics,
+      state: { currentThread: this.state.currentThread }
+    };
+  }
+
+  // Restore history, threads and metrics from toJSON() output
+  restore(data) {
+    const toDate = value => (value ? new Date(value) : value);
+    this.transactions = (data.transactions || [])
+      .map(t => ({ ...t, timestamp: toDate(t.timestamp) }))
+      .slice(-this.maxTransactions);
+    this.threads = new Map((data.threads || []).map(thread => [thread.id, {
+      ...thread,
+      createdAt: toDate(thread.createdAt),
+      updatedAt: toDate(thread.updatedAt),
+      messages: thread.messages.map(m => ({ ...m, timestamp: toDate(m.timestamp) }))
+    }]));
+    this.metrics = { ...this.metrics, ...data.metrics, lastActive: toDate(data.metrics && data.metrics.lastActive) };
+    if (data.state && data.state.currentThread) {
+      this.state.currentThread = data.state.currentThread;
+    }
+    return this;
+  }
 }
 
 (function(global) {
   'use strict';
 
-  class Worksona {
-    constructor(options = {}) {
-      this.options = {
-        debug: false,
-        defaultProvider: 'openai',
-        defaultModel: 'gpt-3.5-turbo',
-        apiKeys: {},
-        ...options
-      };
-      
-      this.agents = new Map();
-      this.activeProvider = null;
-      this.controlPanelId = null;
-      this.eventHandlers = {};
-      
-      this._initializeProviders();
+  // Environment checks so the library also runs headless (Node.js, workers)
+  const hasDOM = () => typeof document !== 'undefined' && typeof document.createElement === 'function';
+  const isNode = () => typeof process !== 'undefined' && !!(process.versions && process.versions.node);
+  const webCrypto = () => global.crypto || (isNode() ? require('crypto').webcrypto : undefined);
 
-      // Initialize control panel if enabled
-      if (options.controlPanel !== false) {
-        // Create floating control panel by default
-        this.createFloatingControlPanel();
-      }
+  // Base64 for binary data, in browsers and Node.js
+  const toBase64 = bytes => {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
     }
+    return btoa(binary);
+  };
+  const fromBase64 = text => {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  };
 
-    // Initialize API clients for different providers
-    _initializeProviders() {
-      this.providers = {
-        openai: this.options.apiKeys.openai ? {
-          chat: async (agent, message) => {
-            try {
-              // Determine if this is a vision request
-              const isVisionRequest = message.content && message.content.type === 'image';
-              const modelName = (agent.config.model || this.options.defaultModel || 'gpt-4o').trim();
-              
-              this._log(`Making OpenAI request with model: ${modelName}`, 'info');
-              
-              let messages;
-              // Determine if this is a vision request - check both formats for backward compatibility
-              if (isVisionRequest || (message && message.type === 'image') || (message && message.content && typeof message.content === 'object' && message.content.type === 'image')) {
-                // Format vision-specific message
-                // Handle different possible formats for image data
-                let imageData;
-                
-                if (isVisionRequest) {
-                  imageData = message.content;
-                } else if (message.type === 'image') {
-                  imageData = message;
-                } else if (message.content && message.content.type === 'image') {
-                  imageData = message.content;
-                }
-                
-                // Ensure we have valid image data
-                if (!imageData || !imageData.imageUrl) {
-                  throw new Error('Invalid image data: Missing required imageUrl property');
-                }
-                
-                messages = [
-                  { 
-                    role: 'system', 
-                    content: agent.config.systemPrompt || 'You are a helpful vision analysis assistant.'
-                  },
-                  {
-                    role: 'user',
-                    content: [
-                      {
-                        type: 'text',
-                        text: imageData.prompt || 'Please analyze this image.'
-                      },
-                      {
-                        type: 'image_url',
-                        image_url: {
-                          url: imageData.imageUrl,
-                          detail: imageData.detail || 'high' // 'auto', 'low', or 'high'
-                        }
-                      }
-                    ]
-                  }
-                ];
-                
-                // Log the message structure for debugging
-                this._log(`Vision message structure: ${JSON.stringify(messages)}`, 'info');
-              } else {
-                // Standard chat message format
-                // Ensure we have a valid message content
-                let userContent = '';
-                
-                if (typeof message === 'string') {
-                  userContent = message;
-                } else if (message && typeof message.content === 'string') {
-                  userContent = message.content;
-                } else if (message && message.content) {
-                  // If content is an object, convert it to a string
-                  try {
-                    userContent = JSON.stringify(message.content);
-                  } catch (e) {
-                    userContent = 'Unable to process message content';
-                  }
-                } else if (message) {
-                  // If message is an object but doesn't have content property
-                  try {
-                    userContent = JSON.stringify(message);
-                  } catch (e) {
-                    userContent = 'Unable to process message';
-                  }
-                } else {
-                  userContent = 'No message provided';
-                }
-                
-                // Log the processed content for debugging
-                this._log(`Processed user content: ${userContent.substring(0, 100)}${userContent.length > 100 ? '...' : ''}`, 'info');
-                
-                messages = [
-                  { 
-                    role: 'system', 
-                    content: agent.config.systemPrompt || 'You are a helpful assistant.' 
-                  },
-                  ...(agent.config.examples || []).flatMap(ex => [
-                    { role: 'user', content: ex.user },
-                    { role: 'assistant', content: ex.assistant }
-                  ]),
-                  { 
-                    role: 'user', 
-                    content: userContent
-                  }
-                ];
-              }
+  // Image type from the file signature, for bytes and base64 without a MIME type
+  const sniffImageType = bytes => {
+    const starts = (...signature) => signature.every((byte, i) => byte === null || bytes[i] === byte);
+    if (starts(0x89, 0x50, 0x4e, 0x47)) return 'image/png';
+    if (starts(0xff, 0xd8, 0xff)) return 'image/jpeg';
+    if (starts(0x47, 0x49, 0x46, 0x38)) return 'image/gif';
+    if (starts(0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50)) return 'image/webp';
+    return null;
+  };
 
-              const requestBody = {
-                model: modelName,
-                messages: messages,
-                temperature: agent.config.temperature || 0.7,
-                max_tokens: agent.config.maxTokens || 500,
-                top_p: agent.config.topP || 1,
-                frequency_penalty: agent.config.frequencyPenalty || 0,
-                presence_penalty: agent.config.presencePenalty || 0,
-                stream: false
-              };
-              
-              // Use the appropriate API endpoint based on the model
-              const apiEndpoint = isVisionRequest ? 
-                'https://api.openai.com/v1/chat/completions' : 
-                'https://api.openai.com/v1/chat/completions';
-
-              const response = await fetch(apiEndpoint, {
-                method: 'POST',
-                headers: {
-                  'Content-Type': 'application/json',
-                  'Authorization': `Bearer ${this.options.apiKeys.openai}`,
-                  'OpenAI-Organization': agent.config.organization || ''
-                },
-                body: JSON.stringify(requestBody)
-              });
+  // Structured image analyses built on processImage. Each task has the
+  // instructions sent with the image(s) and the JSON Schema of its result;
+  // bounding boxes are fractions (0-1) of the image width and height.
+  const BOUNDING_BOX_SCHEMA = {
+    type: 'object',
+    required: ['x', 'y', 'width', 'height'],
+    properties: {
+      x: { type: 'number', minimum: 0, maximum: 1 },
+      y: { type: 'number', minimum: 0, maximum: 1 },
+      width: { type: 'number', minimum: 0, maximum: 1 },
+      height: { type: 'number', minimum: 0, maximum: 1 }
+    }
+  };
+  const CONFIDENCE_SCHEMA = { type: 'number', minimum: 0, maximum: 1 };
 
-              const data = await response.json();
-              
-              if (!response.ok) {
-                this._log(`OpenAI API error: ${JSON.stringify(data)}`, 'error');
-                throw new Error(data.error?.message || `OpenAI API error: ${response.status}`);
+  const IMAGE_TASKS = {
+    text: {
+      event: 'text-extraction',
+      prompt: () => 'Extract all legible text in the image. Return the full text in reading order as `text`, ' +
+        'and each line or block of text separately in `blocks` with its bounding box and your confidence (0-1). ' +
+        'Return empty results if there is no text.',
+      schema: () => ({
+        title: 'image_text',
+        type: 'object',
+        required: ['text', 'blocks'],
+        properties: {
+          text: { type: 'string' },
+          blocks: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['text', 'confidence', 'boundingBox'],
+              properties: { text: { type: 'string' }, confidence: CONFIDENCE_SCHEMA, boundingBox: BOUNDING_BOX_SCHEMA }
+            }
+          }
+        }
+      })
+    },
+    objects: {
+      event: 'object-detection',
+      prompt: ({ labels }) => 'Detect the distinct objects in the image. For each, give a short lowercase `label`, ' +
+        'your confidence (0-1) and its bounding box.' +
+        (labels ? ` Only report objects of these kinds: ${labels.join(', ')}.` : ''),
+      schema: ({ labels }) => ({
+        title: 'image_objects',
+        type: 'object',
+        required: ['objects'],
+        properties: {
+          objects: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['label', 'confidence', 'boundingBox'],
+              properties: {
+                label: labels ? { type: 'string', enum: labels } : { type: 'string' },
+                confidence: CONFIDENCE_SCHEMA,
+                boundingBox: BOUNDING_BOX_SCHEMA
               }
-              
-              // Log successful vision processing
-              if (isVisionRequest) {
-                this._log(`Successfully processed vision request with model: ${modelName}`);
+            }
+          }
+        }
+      })
+    },
+    classification: {
+      event: 'image-classification',
+      prompt: ({ categories, maxLabels = 5 }) => `Classify the image with up to ${maxLabels} labels, ` +
+        'each with your confidence (0-1), most likely first.' +
+        (categories ? ` Choose labels only from: ${categories.join(', ')}.` : ''),
+      schema: ({ categories }) => ({
+        title: 'image_classification',
+        type: 'object',
+        required: ['labels'],
+        properties: {
+          labels: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['label', 'confidence'],
+              properties: {
+                label: categories ? { type: 'string', enum: categories } : { type: 'string' },
+                confidence: CONFIDENCE_SCHEMA
               }
-              
-              return data.choices[0].message.content;
-            } catch (error) {
-              this._log(`OpenAI error details: ${error.message}`, 'error');
-              this._handleError(error, 'PROVIDER_ERROR', 'OpenAI request failed');
             }
-          },
-          defaultModels: {
-            chat: 'gpt-4o',
-            vision: 'gpt-4o'
           }
-        } : null,
+        }
+      })
+    }
+  };
 
-        anthropic: this.options.apiKeys.anthropic ? {
-          chat: async (agent, message) => {
-            try {
-              const response = await fetch('https://api.anthropic.com/v1/messages', {
-                method: 'POST',
-                headers: {
-                  'Content-Type': 'application/json',
-                  'x-api-key': this.options.apiKeys.anthropic,
-                  'anthropic-version': '2023-06-01'
-                },
-                body: JSON.stringify({
-                  model: agent.config.model || 'claude-3-opus-20240229',
-                  max_tokens: agent.config.maxTokens || 500,
-                  temperature: agent.config.temperature || 0.7,
-                  system: agent.config.systemPrompt,
-                  messages: [
-                    ...(agent.config.examples || []).flatMap(ex => [
-                      { role: 'user', content: ex.user },
-                      { role: 'assistant', content: ex.assistant }
-                    ]),
-                    { role: 'user', content: message }
-                  ],
-                  top_p: agent.config.topP || 1,
-                  top_k: agent.config.topK || 50,
-                  metadata: {
-                    user_id: agent.id
-                  }
-                })
-              });
+  // Image creation methods (adapter method -> event prefix, also used as
+  // the transaction type, and the error code when the call fails)
+  const IMAGE_CREATION = {
+    generateImage: { event: 'image-generation', code: 'IMAGE_GENERATION_ERROR', description: 'image generation', failure: 'Failed to generate image' },
+    editImage: { event: 'image-edit', code: 'IMAGE_EDIT_ERROR', description: 'image editing', failure: 'Failed to edit image' },
+    variationImage: { event: 'image-variation', code: 'IMAGE_VARIATION_ERROR', description: 'image variation', failure: 'Failed to create image variation' }
+  };
 
-              const data = await response.json();
-              if (!response.ok) throw new Error(data.error?.message || 'Anthropic API error');
-              return data.content[0].text;
-            } catch (error) {
-              this._handleError(error, 'PROVIDER_ERROR', 'Anthropic request failed');
-            }
-          },
-          defaultModels: {
-            chat: 'claude-3-opus-20240229',
-            completion: 'claude-3-sonnet-20240229'
+  // Generation settings shared by all providers. Each may be set in the
+  // agent config and overridden per call (chat options and the like);
+  // adapters map them to the provider's parameters and leave out those
+  // still unset, so the provider's own defaults apply.
+  //   temperature, maxTokens, topP, topK, frequencyPenalty, presencePenalty
+  //   stop       string or array of stop sequences
+  //   seed       integer for (best-effort) reproducible sampling
+  //   jsonMode   reply with a JSON object (without a particular schema)
+  //   safety     content filter level for all categories ('none', 'high',
+  //              'medium' or 'low': the lowest harm probability blocked),
+  //              or an object of levels by category; Google only
+  const GENERATION_SETTINGS = ['temperature', 'maxTokens', 'topP', 'topK', 'frequencyPenalty', 'presencePenalty',
+    'stop', 'seed', 'jsonMode', 'safety'];
+  const GENERATION_DEFAULTS = { temperature: 0.7, maxTokens: 500 };
+  const SAFETY_LEVELS = ['none', 'high', 'medium', 'low'];
+  const SAFETY_CATEGORIES = ['harassment', 'hateSpeech', 'sexuallyExplicit', 'dangerousContent'];
+  const JSON_MODE_INSTRUCTION = 'Respond with only a valid JSON object.';
+
+  // Default prices in USD per million tokens. Models are matched by the
+  // longest configured prefix; override or extend with `options.pricing`.
+  const DEFAULT_PRICING = {
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-opus': { input: 15, output: 75 },
+    'claude-3-sonnet': { input: 3, output: 15 },
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-pro': { input: 0.5, output: 1.5 }
+  };
+
+  // Built-in storage adapters. Every adapter implements the same async
+  // interface: get(key), set(key, value), delete(key) and keys(). Values are
+  // plain JSON-compatible objects.
+  const STORAGE_ADAPTERS = {
+    // Process-local storage, mostly useful for tests
+    memory() {
+      const records = new Map();
+      return {
+        async get(key) {
+          return records.has(key) ? JSON.parse(records.get(key)) : null;
+        },
+        async set(key, value) {
+          records.set(key, JSON.stringify(value));
+        },
+        async delete(key) {
+          records.delete(key);
+        },
+        async keys() {
+          return Array.from(records.keys());
+        }
+      };
+    },
+
+    // Browser localStorage, namespaced by a key prefix
+    localStorage(options = {}) {
+      const prefix = options.prefix || 'worksona:';
+      const store = options.store || global.localStorage;
+      return {
+        async get(key) {
+          const value = store.getItem(prefix + key);
+          return value === null ? null : JSON.parse(value);
+        },
+        async set(key, value) {
+          store.setItem(prefix + key, JSON.stringify(value));
+        },
+        async delete(key) {
+          store.removeItem(prefix + key);
+        },
+        async keys() {
+          const keys = [];
+          for (let i = 0; i < store.length; i++) {
+            const key = store.key(i);
+            if (key && key.startsWith(prefix)) keys.push(key.slice(prefix.length));
           }
-        } : null,
+          return keys;
+        }
+      };
+    },
 
-        google: this.options.apiKeys.google ? {
-          chat: async (agent, message) => {
-            try {
-              const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${agent.config.model || 'gemini-pro'}:generateContent?key=${this.options.apiKeys.google}`, {
-                method: 'POST',
-                headers: {
-                  'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                  contents: [
-                    {
-                      role: 'user',
-                      parts: [
-                        {
-                          text: agent.config.systemPrompt
-                        }
-                      ]
-                    },
-                    ...(agent.config.examples || []).flatMap(ex => [
-                      {
-                        role: 'user',
-                        parts: [{ text: ex.user }]
-                      },
-                      {
-                        role: 'model',
-                        parts: [{ text: ex.assistant }]
-                      }
-                    ]),
-                    {
-                      role: 'user',
-                      parts: [{ text: message }]
-                    }
-                  ],
-                  generationConfig: {
-                    temperature: agent.config.temperature || 0.7,
-                    maxOutputTokens: agent.config.maxTokens || 500,
-                    topP: agent.config.topP || 1,
-                    topK: agent.config.topK || 40,
-                    candidateCount: 1
-                  },
-                  safetySettings: [
-                    {
-                      category: 'HARM_CATEGORY_HARASSMENT',
-                      threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-                    },
-                    {
-                      category: 'HARM_CATEGORY_HATE_SPEECH',
-                      threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-                    }
-                  ]
-                })
-              });
+    // Browser IndexedDB, for histories too large for localStorage
+    indexedDB(options = {}) {
+      const dbName = options.dbName || 'worksona';
+      const storeName = options.storeName || 'records';
+      const promisify = request => new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      let database = null;
+      const open = () => {
+        if (!database) {
+          const request = global.indexedDB.open(dbName, 1);
+          request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+          database = promisify(request);
+        }
+        return database;
+      };
+      const run = async (mode, action) => {
+        const db = await open();
+        return promisify(action(db.transaction(storeName, mode).objectStore(storeName)));
+      };
+      return {
+        async get(key) {
+          const value = await run('readonly', store => store.get(key));
+          return value === undefined ? null : value;
+        },
+        async set(key, value) {
+          await run('readwrite', store => store.put(JSON.parse(JSON.stringify(value)), key));
+        },
+        async delete(key) {
+          await run('readwrite', store => store.delete(key));
+        },
+        async keys() {
+          return (await run('readonly', store => store.getAllKeys())).map(String);
+        }
+      };
+    },
+
+    // One JSON file per key in a directory (Node.js)
+    file(options = {}) {
+      const fs = require('fs').promises;
+      const path = require('path');
+      const directory = path.resolve(options.directory || 'worksona-data');
+      const fileFor = key => path.join(directory, `${encodeURIComponent(key)}.json`);
+      return {
+        async get(key) {
+          try {
+            return JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+          } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+          }
+        },
+        async set(key, value) {
+          await fs.mkdir(directory, { recursive: true });
+          // Write to a temporary file first so a crash never leaves half a record
+          const temp = `${fileFor(key)}.tmp`;
+          await fs.writeFile(temp, JSON.stringify(value, null, 2));
+          await fs.rename(temp, fileFor(key));
+        },
+        async delete(key) {
+          await fs.rm(fileFor(key), { force: true });
+        },
+        async keys() {
+          try {
+            return (await fs.readdir(directory))
+              .filter(name => name.endsWith('.json'))
+              .map(name => decodeURIComponent(name.slice(0, -5)));
+          } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+          }
+        }
+      };
+    }
+  };
+
+  // Property names whose values are never shown in logs, events or the panel
+  const SECRET_PROPERTY = /^(api[_-]?keys?|x-api-key|authorization|password|secret|client[_-]?secret|access[_-]?token|token)$/i;
+
+  // Built-in key providers. They keep provider API keys out of plaintext
+  // storage and implement:
+  //   load()       -> Promise<{ [provider]: key }>, the keys available now
+  //   save(keys)   -> Promise<void>, replacing the stored keys
+  //   clear()      -> Promise<void>
+  // and optionally:
+  //   unlock(passphrase) -> Promise<keys>, lock() and `locked`, for
+  //     providers that encrypt keys
+  //   prepareRequest(provider, url, init) -> Promise<{ url, init }>, to
+  //     route provider calls somewhere else
+  const KEY_PROVIDERS = {
+    // Keys last as long as the instance
+    memory() {
+      let stored = {};
+      return {
+        async load() {
+          return { ...stored };
+        },
+        async save(keys) {
+          stored = { ...keys };
+        },
+        async clear() {
+          stored = {};
+        }
+      };
+    },
+
+    // Keys last until the browser tab is closed. Falls back to memory where
+    // there is no sessionStorage.
+    session(options = {}) {
+      let store = options.store;
+      try {
+        store = store || global.sessionStorage;
+      } catch (error) {
+        // Sandboxed pages may deny access to storage
+      }
+      if (!store) return KEY_PROVIDERS.memory();
+      const key = options.key || 'worksona:api-keys';
+      return {
+        async load() {
+          return JSON.parse(store.getItem(key) || '{}');
+        },
+        async save(keys) {
+          store.setItem(key, JSON.stringify(keys));
+        },
+        async clear() {
+          store.removeItem(key);
+        }
+      };
+    },
+
+    // Keys encrypted with AES-GCM under a key derived from a passphrase with
+    // PBKDF2. Locked until unlock(passphrase); the first unlock sets the
+    // passphrase. The ciphertext is kept with a storage adapter
+    // (`storage`/`storageOptions`, localStorage in browsers by default).
+    encrypted(options = {}) {
+      const crypto = webCrypto();
+      if (!crypto || !crypto.subtle) throw new Error('Encrypted keys need WebCrypto (crypto.subtle)');
+      const storage = options.storage && typeof options.storage === 'object'
+        ? options.storage
+        : STORAGE_ADAPTERS[options.storage || (global.localStorage ? 'localStorage' : 'memory')](options.storageOptions);
+      const recordKey = options.key || 'api-keys';
+      const encoder = new TextEncoder();
+      let unlocked = null;
 
-              const data = await response.json();
-              if (!response.ok) throw new Error(data.error?.message || 'Google API error');
-              return data.candidates[0].content.parts[0].text;
+      const deriveKey = async (passphrase, salt, iterations) => {
+        const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+          { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+          material,
+          { name: 'AES-GCM', length: 256 },
+          false,
+          ['encrypt', 'decrypt']
+        );
+      };
+      const decrypt = async (record, key) => {
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(record.iv) }, key, fromBase64(record.data));
+        return JSON.parse(new TextDecoder().decode(data));
+      };
+
+      return {
+        get locked() {
+          return !unlocked;
+        },
+        async unlock(passphrase) {
+          if (!passphrase) throw new Error('A passphrase is required to unlock the saved API keys');
+          const record = await storage.get(recordKey);
+          const salt = record ? fromBase64(record.salt) : crypto.getRandomValues(new Uint8Array(16));
+          const iterations = record ? record.iterations : options.iterations || 310000;
+          const key = await deriveKey(passphrase, salt, iterations);
+          let keys = {};
+          if (record) {
+            try {
+              keys = await decrypt(record, key);
             } catch (error) {
-              this._handleError(error, 'PROVIDER_ERROR', 'Google request failed');
+              throw new Error('Wrong passphrase for the saved API keys');
             }
-          },
-          defaultModels: {
-            chat: 'gemini-pro',
-            vision: 'gemini-pro-vision'
           }
-        } : null
+          unlocked = { key, salt, iterations };
+          return keys;
+        },
+        lock() {
+          unlocked = null;
+        },
+        async load() {
+          if (!unlocked) return {};
+          const record = await storage.get(recordKey);
+          return record ? decrypt(record, unlocked.key) : {};
+        },
+        async save(keys) {
+          if (!unlocked) throw new Error('The saved API keys are locked; unlock them with the passphrase first');
+          const iv = crypto.getRandomValues(new Uint8Array(12));
+          const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, unlocked.key, encoder.encode(JSON.stringify(keys)));
+          await storage.set(recordKey, {
+            version: 1,
+            iterations: unlocked.iterations,
+            salt: toBase64(unlocked.salt),
+            iv: toBase64(iv),
+            data: toBase64(new Uint8Array(data))
+          });
+        },
+        async clear() {
+          await storage.delete(recordKey);
+          unlocked = null;
+        }
+      };
+    },
+
+    // Keys stay on a backend. Provider calls are sent to `url` instead, without
+    // provider credentials: https://api.openai.com/v1/chat/completions becomes
+    // `${url}/openai/v1/chat/completions`. With `tokenUrl`, each call carries a
+    // short-lived bearer token from that endpoint, which is sent
+    // POST { provider } and answers { token, expiresIn } (seconds) or
+    // { token, expiresAt }.
+    proxy(options = {}) {
+      if (!options.url) throw new Error('The proxy key provider needs a "url"');
+      const base = options.url.replace(/\/$/, '');
+      const providers = options.providers || ['openai', 'anthropic', 'google'];
+      const tokens = new Map();
+
+      const getToken = async provider => {
+        const cached = tokens.get(provider);
+        if (cached && cached.expiresAt > Date.now()) return cached.token;
+        const response = await fetch(options.tokenUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...options.headers },
+          credentials: options.credentials || 'same-origin',
+          body: JSON.stringify({ provider })
+        });
+        if (!response.ok) throw new Error(`Token endpoint returned ${response.status}`);
+        const data = await response.json();
+        const lifetime = data.expiresAt
+          ? new Date(data.expiresAt).getTime() - Date.now()
+          : (data.expiresIn || 300) * 1000;
+        // Renew early so a token doesn't expire in flight
+        tokens.set(provider, { token: data.token, expiresAt: Date.now() + Math.max(lifetime / 2, lifetime - 30000) });
+        return data.token;
+      };
+
+      return {
+        // Placeholder keys mark the proxied providers as available
+        async load() {
+          return Object.fromEntries(providers.map(provider => [provider, 'proxy']));
+        },
+        async save() {},
+        async clear() {
+          tokens.clear();
+        },
+        async prepareRequest(provider, url, init = {}) {
+          const target = new URL(url);
+          target.searchParams.delete('key');
+          const headers = new Headers(init.headers);
+          ['authorization', 'x-api-key', 'x-goog-api-key'].forEach(name => headers.delete(name));
+          Object.entries(options.headers || {}).forEach(([name, value]) => headers.set(name, value));
+          if (options.tokenUrl) headers.set('Authorization', `Bearer ${await getToken(provider)}`);
+          return {
+            url: `${base}/${provider}${target.pathname}${target.search}`,
+            init: { ...init, headers, ...(options.credentials && { credentials: options.credentials }) }
+          };
+        }
       };
     }
+  };
 
-    // Helper function to format messages based on provider
-    _formatMessages(provider, agent, message) {
-      switch (provider) {
-        case 'openai':
-          return [
-            { role: 'system', content: agent.config.systemPrompt },
-            ...(agent.config.examples || []).flatMap(ex => [
-              { role: 'user', content: ex.user },
-              { role: 'assistant', content: ex.assistant }
-            ]),
-            { role: 'user', content: message }
-          ];
+  // Agent definition format. Bump AGENT_SCHEMA_VERSION together with a new
+  // entry in AGENT_MIGRATIONS whenever the format changes; the published copy
+  // lives in agents/agent.schema.json.
+  const AGENT_SCHEMA_VERSION = 1;
 
-        case 'anthropic':
-          return [
-            ...(agent.config.examples || []).flatMap(ex => [
-              { role: 'user', content: ex.user },
-              { role: 'assistant', content: ex.assistant }
-            ]),
-            { role: 'user', content: message }
-          ];
+  const stringList = { type: 'array', items: { type: 'string' } };
 
-        case 'google':
-          return [
-            {
-              role: 'user',
-              parts: [{ text: agent.config.systemPrompt }]
-            },
-            ...(agent.config.examples || []).flatMap(ex => [
-              {
-                role: 'user',
-                parts: [{ text: ex.user }]
-              },
-              {
-                role: 'model',
-                parts: [{ text: ex.assistant }]
-              }
-            ]),
-            {
-              role: 'user',
-              parts: [{ text: message }]
+  const AGENT_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Worksona agent',
+    type: 'object',
+    required: ['id', 'name'],
+    additionalProperties: false,
+    properties: {
+      $schema: { type: 'string' },
+      schemaVersion: { type: 'integer', minimum: 1, maximum: AGENT_SCHEMA_VERSION },
+      id: { type: 'string', minLength: 1 },
+      name: { type: 'string', minLength: 1 },
+      description: { type: 'string' },
+      traits: {
+        type: 'object',
+        properties: {
+          personality: stringList,
+          knowledge: stringList,
+          tone: { type: 'string' },
+          background: { type: 'string' }
+        },
+        additionalProperties: { type: ['string', 'array'] }
+      },
+      capabilities: stringList,
+      metadata: { type: 'object' },
+      config: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          provider: { type: 'string', minLength: 1 },
+          model: { type: 'string', minLength: 1 },
+          temperature: { type: 'number', minimum: 0, maximum: 2 },
+          maxTokens: { type: 'integer', minimum: 1 },
+          topP: { type: 'number', minimum: 0, maximum: 1 },
+          topK: { type: 'integer', minimum: 1 },
+          frequencyPenalty: { type: 'number', minimum: -2, maximum: 2 },
+          presencePenalty: { type: 'number', minimum: -2, maximum: 2 },
+          stop: { type: ['string', 'array'], items: { type: 'string' } },
+          seed: { type: 'integer' },
+          jsonMode: { type: 'boolean' },
+          safety: {
+            anyOf: [
+              { enum: SAFETY_LEVELS },
+              { type: 'object', additionalProperties: false, properties: Object.fromEntries(SAFETY_CATEGORIES.map(category => [category, { enum: SAFETY_LEVELS }])) }
+            ]
+          },
+          organization: { type: 'string' },
+          imageModel: { type: 'string', minLength: 1 },
+          imageOptions: {
+            type: 'object',
+            properties: {
+              n: { type: 'integer', minimum: 1 },
+              size: { type: 'string' },
+              quality: { type: 'string' },
+              style: { type: 'string' },
+              response_format: { enum: ['url', 'b64_json'] },
+              aspectRatio: { type: 'string' }
             }
-          ];
+          },
+          systemPrompt: { type: 'string' },
+          personaMode: { enum: ['off', 'prepend', 'append', 'fallback', 'replace'] },
+          variables: { type: 'object' },
+          partials: { type: 'object', additionalProperties: { type: 'string' } },
+          examples: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['user', 'assistant'],
+              additionalProperties: false,
+              properties: { user: { type: 'string' }, assistant: { type: 'string' } }
+            }
+          },
+          fallbacks: {
+            type: 'array',
+            items: {
+              anyOf: [
+                { type: 'string', minLength: 1 },
+                {
+                  type: 'object',
+                  required: ['provider'],
+                  additionalProperties: false,
+                  properties: { provider: { type: 'string' }, model: { type: 'string' } }
+                }
+              ]
+            }
+          },
+          tools: { type: 'array', items: { type: ['string', 'object'] } },
+          outputSchema: { type: ['object', 'boolean'] },
+          maxRepairAttempts: { type: 'integer', minimum: 0 },
+          maxToolIterations: { type: 'integer', minimum: 1 },
+          maxHistoryMessages: { type: 'integer', minimum: 1 },
+          maxTransactions: { type: 'integer', minimum: 1 },
+          timeoutMs: { type: 'integer', minimum: 1 },
+          retry: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              maxAttempts: { type: 'integer', minimum: 1 },
+              baseDelayMs: { type: 'number', minimum: 0 },
+              maxDelayMs: { type: 'number', minimum: 0 },
+              jitter: { type: 'boolean' },
+              retryOn: { type: 'array', items: { type: 'integer' } }
+            }
+          },
+          budget: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              maxCost: { type: 'number', minimum: 0 },
+              maxTokens: { type: 'integer', minimum: 0 }
+            }
+          }
+        }
+      }
+    }
+  };
 
-        default:
-          throw new Error(`Unsupported provider: ${provider}`);
+  // Upgrades from each older format; AGENT_MIGRATIONS[n] turns a version n
+  // definition into version n + 1. Definitions without schemaVersion are 0.
+  const AGENT_MIGRATIONS = [
+    // 0 -> 1: settings may sit at the top level or use snake_case names,
+    // `persona` holds the system prompt and the id may be missing
+    definition => {
+      const { persona, api, ...rest } = definition;
+      const config = { ...(definition.config || {}) };
+      const aliases = {
+        max_tokens: 'maxTokens',
+        top_p: 'topP',
+        top_k: 'topK',
+        frequency_penalty: 'frequencyPenalty',
+        presence_penalty: 'presencePenalty',
+        system_prompt: 'systemPrompt'
+      };
+      const configKeys = Object.keys(AGENT_SCHEMA.properties.config.properties);
+
+      Object.keys(rest).forEach(key => {
+        const name = aliases[key] || key;
+        if (configKeys.includes(name) && !AGENT_SCHEMA.properties[key]) {
+          if (!(name in config)) config[name] = rest[key];
+          delete rest[key];
+        }
+      });
+      Object.keys(config).forEach(key => {
+        if (aliases[key]) {
+          if (!(aliases[key] in config)) config[aliases[key]] = config[key];
+          delete config[key];
+        }
+      });
+      if (persona && !config.systemPrompt) {
+        config.systemPrompt = persona;
       }
+      if (api) {
+        rest.metadata = { ...rest.metadata, api };
+      }
+      if (!rest.id && rest.name) {
+        rest.id = String(rest.name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      }
+      return { ...rest, config };
     }
+  ];
 
-    // Load an agent from configuration
-    async loadAgent(config) {
-      if (!config.id || !config.name) {
-        this._handleError(new Error('Invalid agent configuration'), 'CONFIG_ERROR');
-        return null;
+  // Runs a multi-agent workflow: a list of steps executed in order, where
+  // each step receives the previous step's output. Step types:
+  //   'agent'    - call an agent (chat, processImage or generateImage)
+  //   'parallel' - run child steps concurrently and merge their outputs
+  //   'router'   - let an agent (or a select function) pick one route
+  //   'debate'   - several agents discuss over rounds, optionally moderated
+  //   'function' - run custom code
+  // Create instances with worksona.createWorkflow(definition).
+  class Workflow {
+    constructor(worksona, definition = {}) {
+      if (!Array.isArray(definition.steps) || !definition.steps.length) {
+        throw new Error('Workflow definition must have a non-empty "steps" array');
       }
+      this.worksona = worksona;
+      this.id = definition.id || worksona._generateId('workflow');
+      this.name = definition.name || this.id;
+      this.steps = definition.steps.map((step, index) => this._normalizeStep(step, `step-${index + 1}`));
+    }
+
+    // Run the workflow. Resolves to { runId, output, trace, duration }; each
+    // trace entry records one step (or debate turn) with its input, output,
+    // timing and parent step.
+    async run(input, options = {}) {
+      const run = {
+        id: this.worksona._generateId('run'),
+        input,
+        outputs: {},
+        trace: [],
+        options
+      };
+      const startTime = Date.now();
+      this.worksona._emit('workflow-start', { workflowId: this.id, runId: run.id, input });
 
       try {
-        // Create new agent instance - Agent constructor now handles nested config
-        const agent = new Agent(config);
-        
-        // Store agent
-        this.agents.set(agent.id, agent);
-        
-        // Emit event
-        this._emit('agent-loaded', { 
-          agentId: agent.id,
-          name: agent.name,
-          description: agent.description,
-          provider: agent.state.currentProvider,
-          model: agent.state.currentModel
-        });
-        
-        // Update the control panel to show the new agent
-        this.updateControlPanel();
-        
-        this._log(`Agent loaded: ${agent.name} (${agent.id})`);
-        return agent;
+        let output = input;
+        for (const step of this.steps) {
+          output = await this._runStep(step, output, run, null);
+        }
+        const result = { runId: run.id, output, trace: run.trace, duration: Date.now() - startTime };
+        this.worksona._emit('workflow-complete', { workflowId: this.id, ...result });
+        return result;
       } catch (error) {
-        this._handleError(error, 'AGENT_LOAD_ERROR', `Failed to load agent: ${config.id}`);
-        return null;
+        this.worksona._emit('workflow-error', { workflowId: this.id, runId: run.id, error, trace: run.trace });
+        // Errors from chat() and friends have already been reported
+        if (error.code && 'originalError' in error) throw error;
+        error.details = { workflowId: this.id, runId: run.id, trace: run.trace };
+        this.worksona._handleError(error, 'WORKFLOW_ERROR');
       }
     }
 
-    // Send message to agent and get response
-    async chat(agentId, message, options = {}) {
-      const agent = this.agents.get(agentId);
-      if (!agent) {
-        this._handleError(new Error(`Agent not found: ${agentId}`), 'AGENT_NOT_FOUND');
-        return null;
+    // Expand shorthands: 'agent-id' is an agent step, and a step with
+    // `agent` but no `type` is an agent step too
+    _normalizeStep(step, id) {
+      if (typeof step === 'string') {
+        step = { agent: step };
       }
+      const type = step.type || (step.run ? 'function' : 'agent');
+      const normalized = { ...step, type, id: step.id || id };
 
-      // Always use the agent's configured provider first, then fallback to options or default
-      const provider = agent.config.provider || options.provider || this.options.defaultProvider;
-      
-      if (!this.providers[provider]) {
-        this._handleError(new Error(`Provider not available: ${provider}`), 'PROVIDER_ERROR');
-        return null;
+      switch (type) {
+        case 'agent':
+          if (!step.agent) throw new Error(`Workflow step ${normalized.id} needs an "agent"`);
+          break;
+        case 'parallel':
+          if (!Array.isArray(step.steps) || !step.steps.length) {
+            throw new Error(`Parallel step ${normalized.id} needs a non-empty "steps" array`);
+          }
+          normalized.steps = step.steps.map((child, index) => this._normalizeStep(child, `${normalized.id}.${index + 1}`));
+          break;
+        case 'router':
+          if (!step.routes || !Object.keys(step.routes).length) {
+            throw new Error(`Router step ${normalized.id} needs "routes"`);
+          }
+          if (!step.agent && typeof step.select !== 'function') {
+            throw new Error(`Router step ${normalized.id} needs an "agent" or a "select" function`);
+          }
+          normalized.routes = {};
+          Object.entries(step.routes).forEach(([name, route]) => {
+            normalized.routes[name] = this._normalizeStep(route, `${normalized.id}.${name}`);
+          });
+          break;
+        case 'debate':
+          if (!Array.isArray(step.agents) || step.agents.length < 2) {
+            throw new Error(`Debate step ${normalized.id} needs at least two "agents"`);
+          }
+          break;
+        case 'function':
+          if (typeof step.run !== 'function') throw new Error(`Function step ${normalized.id} needs a "run" function`);
+          break;
+        default:
+          throw new Error(`Unknown workflow step type: ${type}`);
+      }
+      return normalized;
+    }
+
+    async _runStep(step, previous, run, parentId) {
+      if (run.options.signal && run.options.signal.aborted) {
+        const error = new Error('Workflow was cancelled');
+        error.name = 'AbortError';
+        throw error;
+      }
+
+      const input = this._resolveInput(step, previous, run);
+      const entry = {
+        stepId: step.id,
+        type: step.type,
+        agentId: step.agent || null,
+        parentId,
+        input,
+        output: null,
+        error: null,
+        startedAt: new Date(),
+        duration: 0
+      };
+      run.trace.push(entry);
+      this.worksona._emit('workflow-step-start', { workflowId: this.id, runId: run.id, stepId: step.id, type: step.type, agentId: entry.agentId, input });
+
+      const startTime = Date.now();
+      try {
+        let output;
+        switch (step.type) {
+          case 'agent':
+            output = await this._callAgent(step.agent, step.method, input, step.options, run);
+            break;
+          case 'parallel':
+            output = await this._runParallel(step, input, run);
+            break;
+          case 'router':
+            output = await this._runRouter(step, input, run, entry);
+            break;
+          case 'debate':
+            output = await this._runDebate(step, input, run);
+            break;
+          case 'function':
+            output = await step.run(input, { input: run.input, steps: run.outputs, worksona: this.worksona });
+            break;
+        }
+        entry.output = output;
+        entry.duration = Date.now() - startTime;
+        run.outputs[step.id] = output;
+        this.worksona._emit('workflow-step-complete', { workflowId: this.id, runId: run.id, stepId: step.id, type: step.type, agentId: entry.agentId, output, duration: entry.duration });
+        return output;
+      } catch (error) {
+        entry.error = error;
+        entry.duration = Date.now() - startTime;
+        this.worksona._emit('workflow-step-error', { workflowId: this.id, runId: run.id, stepId: step.id, type: step.type, agentId: entry.agentId, error });
+        if (step.continueOnError) {
+          run.outputs[step.id] = null;
+          return null;
+        }
+        throw error;
+      }
+    }
+
+    // A step's input is the previous output unless `input` says otherwise:
+    // a function of { input, previous, steps } or a template using the same
+    // variables, e.g. 'Summarize: {{steps.research}}'
+    _resolveInput(step, previous, run) {
+      const variables = { input: run.input, previous, steps: run.outputs };
+      if (typeof step.input === 'function') {
+        return step.input(variables);
+      }
+      if (typeof step.input === 'string') {
+        return this._render(step.input, variables, `workflow step ${step.id}`);
+      }
+      return previous;
+    }
+
+    _render(template, variables, location) {
+      const scope = { variables, partials: Object.fromEntries(this.worksona.partials), missing: [] };
+      const text = this.worksona._renderTemplate(template, scope, location);
+      if (scope.missing.length) {
+        const error = new Error(`Missing template variable ${scope.missing.map(m => m.name).join(', ')} in ${location}`);
+        error.code = 'TEMPLATE_ERROR';
+        throw error;
+      }
+      return text;
+    }
+
+    async _callAgent(agentId, method = 'chat', input, stepOptions = {}, run) {
+      const methods = ['chat', 'processImage', 'analyzeImage', 'extractImageText', 'detectImageObjects', 'classifyImage', 'generateImage'];
+      if (!methods.includes(method)) {
+        throw new Error(`Unsupported workflow method: ${method}`);
+      }
+      const options = {
+        ...stepOptions,
+        variables: { ...run.options.variables, ...stepOptions.variables },
+        ...(run.options.signal && { signal: run.options.signal })
+      };
+      const message = method === 'chat' ? this._toMessage(input) : input;
+      return this.worksona[method](agentId, message, options);
+    }
+
+    // Non-text outputs (e.g. parallel results) are passed on as JSON
+    _toMessage(value) {
+      return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    }
+
+    // Fan out to all child steps with the same input, then fan in: by
+    // default to an object keyed by child step ID, or through `merge`
+    async _runParallel(step, input, run) {
+      const outputs = await Promise.all(step.steps.map(child => this._runStep(child, input, run, step.id)));
+      if (typeof step.merge === 'function') {
+        return step.merge(outputs, step.steps.map(child => child.id));
+      }
+      const merged = {};
+      step.steps.forEach((child, index) => {
+        merged[child.id] = outputs[index];
+      });
+      return merged;
+    }
+
+    // Pick a route with `select(input, context)` or by asking the router
+    // agent for a structured decision, then run the chosen route
+    async _runRouter(step, input, run, entry) {
+      const names = Object.keys(step.routes);
+      let decision;
+      if (typeof step.select === 'function') {
+        decision = { route: await step.select(input, { input: run.input, steps: run.outputs, routes: names }) };
+      } else {
+        const describe = name => {
+          const route = step.routes[name];
+          const agent = route.agent && this.worksona.getAgent(route.agent);
+          const description = route.description || (agent && agent.description);
+          return `- ${name}${description ? `: ${description}` : ''}`;
+        };
+        const prompt = `${this._toMessage(input)}\n\nChoose the route that should handle this request:\n${names.map(describe).join('\n')}`;
+        decision = await this._callAgent(step.agent, 'chat', prompt, {
+          ...step.options,
+          outputSchema: {
+            type: 'object',
+            properties: {
+              route: { type: 'string', enum: names },
+              reason: { type: 'string' }
+            },
+            required: ['route'],
+            additionalProperties: false
+          }
+        }, run);
+      }
+
+      const route = step.routes[decision.route] ? decision.route : step.default;
+      if (!step.routes[route]) {
+        throw new Error(`Router step ${step.id} chose unknown route "${decision.route}"`);
+      }
+      entry.decision = { route, reason: decision.reason || null };
+      this.worksona._emit('workflow-route', { workflowId: this.id, runId: run.id, stepId: step.id, route, reason: entry.decision.reason });
+      return this._runStep(step.routes[route], input, run, step.id);
+    }
+
+    // Let the agents take turns for `rounds` rounds, each seeing the
+    // transcript so far. A `moderator` agent concludes the discussion;
+    // without one the output is the transcript.
+    async _runDebate(step, input, run) {
+      const rounds = step.rounds || 2;
+      const topic = this._toMessage(input);
+      const turnPrompt = step.prompt ||
+        'Topic: {{topic}}\n\n{{#if transcript}}Discussion so far:\n{{transcript}}\n\n{{/if}}' +
+        'This is round {{round}} of {{rounds}}. As {{participant}}, give your perspective' +
+        '{{#if transcript}} and respond to the points made by the others{{/if}}. Be concise.';
+      const moderatorPrompt = step.moderatorPrompt ||
+        'Topic: {{topic}}\n\nDiscussion:\n{{transcript}}\n\nSummarize the discussion and give a final, balanced conclusion.';
+
+      const turns = [];
+      const transcript = () => turns.map(turn => `${turn.participant}: ${turn.content}`).join('\n\n');
+      const nameOf = agentId => {
+        const agent = this.worksona.getAgent(agentId);
+        return agent ? agent.name : agentId;
+      };
+
+      for (let round = 1; round <= rounds; round++) {
+        for (const agentId of step.agents) {
+          const participant = nameOf(agentId);
+          const turnStep = { id: `${step.id}.round-${round}.${agentId}`, type: 'agent', agent: agentId, options: step.options };
+          const message = this._render(turnPrompt, { topic, transcript: transcript(), round, rounds, participant }, `debate step ${step.id}`);
+          const content = await this._runStep(turnStep, message, run, step.id);
+          turns.push({ round, agentId, participant, content });
+        }
+      }
+
+      if (!step.moderator) {
+        return transcript();
+      }
+      const moderatorStep = { id: `${step.id}.moderator`, type: 'agent', agent: step.moderator, options: step.options };
+      const message = this._render(moderatorPrompt, { topic, transcript: transcript(), rounds }, `debate step ${step.id}`);
+      return this._runStep(moderatorStep, message, run, step.id);
+    }
+  }
+
+  class Worksona {
+    constructor(options = {}) {
+      this.options = {
+        debug: false,
+        defaultProvider: 'openai',
+        defaultModel: 'gpt-3.5-turbo',
+        apiKeys: {},
+        maxToolIterations: 5,
+        rateLimits: {},
+        storage: null,
+        maxTransactions: 100,
+        validateAgents: true,
+        personaMode: 'off',
+        envKeys: true,
+        keyProvider: 'session',
+        ...options
+      };
+      // Explicit keys win over OPENAI_API_KEY and friends from the environment
+      if (this.options.envKeys) {
+        this.options.apiKeys = { ...this._readEnvKeys(), ...this.options.apiKeys };
+      }
+      // Keys given here take precedence over the key provider's
+      this.initialKeys = Object.fromEntries(Object.entries(this.options.apiKeys).filter(([, key]) => key));
+      this.options.retry = {
+        maxAttempts: 3,
+        baseDelayMs: 500,
+        maxDelayMs: 10000,
+        jitter: true,
+        retryOn: [408, 429, 500, 502, 503, 504, 529],
+        ...options.retry
+      };
+      
+      this.agents = new Map();
+      this.activeProvider = null;
+      this.controlPanelId = null;
+      this.eventHandlers = {};
+      this.providers = {};
+      this.providerRegistry = new Map();
+      this.tools = new Map();
+      this.inFlight = new Map();
+      this.partials = new Map(Object.entries(this.options.partials || {}));
+      this.rateLimitWindows = {};
+      this.usageTotals = { promptTokens: 0, completionTokens: 0, totalTokens: 0, estimatedCost: 0 };
+      this.mockState = { responses: [...((this.options.mock && this.options.mock.responses) || [])], calls: [] };
+      
+      this._registerBuiltinProviders();
+      Object.entries(this.options.providers || {}).forEach(([name, adapter]) => {
+        this.providerRegistry.set(name, { adapter, displayName: adapter.displayName || name });
+      });
+      this._initializeProviders();
+
+      // Restore persisted agents; `ready` resolves once they are loaded
+      this.storage = this._createStorage(this.options.storage, this.options.storageOptions);
+      this.storageQueue = Promise.resolve();
+      this.recorder = this.options.recording ? this._createRecorder(this.options.recording) : null;
+      this.keyProvider = this._createKeyProvider(this.options.keyProvider, this.options.keyProviderOptions);
+      this.ready = Promise.all([
+        this.keyProvider && this._loadStoredKeys(),
+        this.storage && this._restoreAgents()
+      ]).then(() => {});
+
+      // Initialize control panel if enabled and there is a DOM to render into
+      if (options.controlPanel !== false && hasDOM()) {
+        // Create floating control panel by default
+        this.createFloatingControlPanel();
+      }
+    }
+
+    // Register a provider adapter under a name. `adapter` is either an
+    // adapter object or a factory `(worksona) => adapter | null`; factories
+    // are re-run whenever providers are reinitialized (e.g. after API keys
+    // change) and may return null when the provider is not configured.
+    //
+    // Adapter contract (only `chat` is required):
+    //   chat(agent, message, context)          -> Promise<string | { content, toolCalls, usage }>
+    //   stream(agent, message, context)        -> AsyncIterable<string> of text deltas
+    //   vision(agent, images, context)         -> Promise<string | { content, usage?, model? }>,
+    //                                             images as [{ url } | { mimeType, data }]
+    //                                             and model the one actually used
+    //   generateImage(agent, prompt, context)  -> Promise<string | string[] |
+    //                                             { images, revisedPrompts?, model? }>,
+    //                                             images as URLs or data URIs and
+    //                                             model the one actually used
+    //   editImage(agent, imageData, prompt, context) -> as generateImage
+    //   variationImage(agent, imageData, context)    -> as generateImage
+    //   listModels(context)                    -> Promise<Array<{ id, name?, capabilities }>>
+    //   testConnection(context)                -> Promise<{ ok, status?, error? }> from a cheap real request
+    //   defaultModels                          -> { chat, vision, image }
+    //
+    // `context` carries per-call data: `history` (prior thread turns),
+    // `options` (the caller's options), `signal` (an AbortSignal) and, for
+    // chat, `tools` (declarations to offer the model) and `toolTurns` (the
+    // tool calls and results so far, see _formatMessages). Tool calls are
+    // returned as toolCalls: [{ id, name, arguments }]. Token usage is
+    // reported as usage: { promptTokens, completionTokens, totalTokens };
+    // stream() reports it by assigning context.usage. Errors of calls whose
+    // context.signal has aborted are rethrown as they are: the caller
+    // reports the cancellation or timeout itself.
+    registerProvider(name, adapter, options = {}) {
+      if (!name || !(typeof adapter === 'function' || (adapter && typeof adapter.chat === 'function'))) {
+        this._handleError(new Error(`Invalid provider adapter: ${name}`), 'PROVIDER_ERROR');
+        return this;
+      }
+
+      this.providerRegistry.set(name, {
+        adapter,
+        displayName: options.displayName || adapter.displayName || name
+      });
+      this.providers[name] = this._resolveProvider(name);
+
+      this._emit('provider-registered', { provider: name, available: !!this.providers[name] });
+      this._log(`Provider registered: ${name}`);
+      return this;
+    }
+
+    // Remove a provider adapter
+    unregisterProvider(name) {
+      const removed = this.providerRegistry.delete(name);
+      if (removed) {
+        delete this.providers[name];
+        this._emit('provider-unregistered', { provider: name });
+      }
+      return removed;
+    }
+
+    // List registered providers with their availability and capabilities
+    getProviders() {
+      return Array.from(this.providerRegistry.entries()).map(([name, entry]) => {
+        const adapter = this.providers[name];
+        return {
+          name,
+          displayName: entry.displayName,
+          available: !!adapter,
+          capabilities: adapter
+            ? ['chat', 'stream', 'vision', 'generateImage', 'editImage', 'variationImage', 'listModels', 'testConnection']
+              .filter(capability => typeof adapter[capability] === 'function')
+            : [],
+          defaultModels: adapter?.defaultModels || {}
+        };
+      });
+    }
+
+    // List a provider's models with their capabilities ('chat', 'vision',
+    // 'image'). Results are cached until the API keys change; pass
+    // { refresh: true } to ask the provider again.
+    async listModels(provider, options = {}) {
+      const adapter = this.providers[provider];
+      if (!adapter) {
+        this._handleError(new Error(`Provider not configured: ${provider}`), 'PROVIDER_ERROR');
+      }
+      if (!options.refresh && this.modelCache.has(provider)) {
+        return this.modelCache.get(provider);
+      }
+      if (typeof adapter.listModels !== 'function') return [];
+
+      const scope = this._createAbortScope(null, options);
+      try {
+        const models = await adapter.listModels(this._createContext(provider, null, { options, signal: scope.signal }));
+        this.modelCache.set(provider, models);
+        this._emit('models-listed', { provider, count: models.length });
+        return models;
+      } catch (error) {
+        if (scope.status()) this._throwAborted(scope, `Listing ${provider} models`);
+        this._handleError(error, 'PROVIDER_ERROR', `Failed to list ${provider} models: ${error.message}`);
+      } finally {
+        scope.done();
+      }
+    }
+
+    // Check that a provider is reachable and accepts the key, with a
+    // lightweight request and without retries. Resolves to
+    // { provider, ok, latency, error? } and never throws; a timeout or
+    // cancellation (options.timeoutMs, options.signal) is reported as an error.
+    async testConnection(provider, options = {}) {
+      const adapter = this.providers[provider];
+      const startTime = Date.now();
+      let result;
+      if (!adapter) {
+        result = { ok: false, error: this.providerRegistry.has(provider) ? `No API key configured for ${provider}` : `Unknown provider: ${provider}` };
+      } else {
+        const scope = this._createAbortScope(null, options);
+        try {
+          const context = this._createContext(provider, null, { options: { ...options, retry: { maxAttempts: 1 } }, signal: scope.signal });
+          if (typeof adapter.testConnection === 'function') {
+            result = await adapter.testConnection(context);
+          } else {
+            // Fall back to listing models; adapters with neither are assumed reachable
+            if (typeof adapter.listModels === 'function') await adapter.listModels(context);
+            result = { ok: true };
+          }
+        } catch (error) {
+          result = { ok: false, error: scope.status() ? (scope.signal.reason || error).message : error.message };
+        } finally {
+          scope.done();
+        }
+      }
+
+      const status = {
+        provider,
+        ok: !!(result && result.ok),
+        latency: adapter ? Date.now() - startTime : null,
+        ...(result && result.error && { error: result.error }),
+        testedAt: new Date()
+      };
+      this.connectionStatus.set(provider, status);
+      this._log(`Provider ${provider} connection test: ${status.ok ? `ok in ${status.latency} ms` : status.error}`);
+      this._emit('provider-tested', status);
+      return status;
+    }
+
+    // Build a provider adapter from its registry entry
+    _resolveProvider(name) {
+      const entry = this.providerRegistry.get(name);
+      if (!entry) return null;
+
+      const adapter = typeof entry.adapter === 'function' ? entry.adapter(this) : entry.adapter;
+      if (!adapter) return null;
+      if (typeof adapter.chat !== 'function') {
+        this._log(`Provider ${name} adapter has no chat() method`, 'error');
+        return null;
+      }
+      return adapter;
+    }
+
+    // API keys from the environment under Node.js: OPENAI_API_KEY,
+    // ANTHROPIC_API_KEY and GOOGLE_API_KEY (or GEMINI_API_KEY)
+    _readEnvKeys() {
+      if (!isNode() || !process.env) return {};
+      const env = process.env;
+      const keys = {};
+      if (env.OPENAI_API_KEY) keys.openai = env.OPENAI_API_KEY;
+      if (env.ANTHROPIC_API_KEY) keys.anthropic = env.ANTHROPIC_API_KEY;
+      if (env.GOOGLE_API_KEY || env.GEMINI_API_KEY) keys.google = env.GOOGLE_API_KEY || env.GEMINI_API_KEY;
+      return keys;
+    }
+
+    _registerBuiltinProviders() {
+      this.providerRegistry.set('openai', { adapter: () => this._createOpenAIProvider(), displayName: 'OpenAI', builtin: true });
+      this.providerRegistry.set('anthropic', { adapter: () => this._createAnthropicProvider(), displayName: 'Anthropic', builtin: true });
+      this.providerRegistry.set('google', { adapter: () => this._createGoogleProvider(), displayName: 'Google', builtin: true });
+      this.providerRegistry.set('mock', { adapter: () => this._createMockProvider(), displayName: 'Mock', builtin: true });
+    }
+
+    // Resolve the `keyProvider` option: a built-in provider name or an object
+    _createKeyProvider(keyProvider, keyProviderOptions = {}) {
+      if (!keyProvider) return null;
+      if (typeof keyProvider === 'string') {
+        if (!KEY_PROVIDERS[keyProvider]) {
+          throw new Error(`Unknown key provider: ${keyProvider}`);
+        }
+        return KEY_PROVIDERS[keyProvider](keyProviderOptions);
+      }
+      return keyProvider;
+    }
+
+    // Add the key provider's keys to the ones given to the constructor
+    async _loadStoredKeys() {
+      try {
+        this._applyKeys(await this.keyProvider.load());
+        await this._migrateLegacyKeys();
+      } catch (error) {
+        this._log(`Failed to load API keys: ${error.message}`, 'error');
+        this._emit('error', { message: `Failed to load API keys: ${error.message}`, code: 'KEY_ERROR', originalError: error });
+      }
+    }
+
+    _applyKeys(stored) {
+      this.options.apiKeys = { ...this.options.apiKeys, ...stored, ...this.initialKeys };
+      this._keysChanged();
+    }
+
+    _keysChanged() {
+      this._initializeProviders();
+      this.updateControlPanel();
+      this._emit('api-keys-updated', {
+        providers: Object.keys(this.options.apiKeys).filter(provider => this.options.apiKeys[provider])
+      });
+    }
+
+    // Earlier versions saved keys in localStorage as plaintext
+    // (openai_api_key etc.); move them to the key provider. Only browsers
+    // ever had them, so Node.js never reads its localStorage.
+    async _migrateLegacyKeys() {
+      if (isNode()) return;
+      const store = global.localStorage;
+      if (!store || this.keyProvider.locked) return;
+      const legacy = {};
+      ['openai', 'anthropic', 'google'].forEach(provider => {
+        const key = store.getItem(`${provider}_api_key`);
+        if (key) legacy[provider] = key;
+      });
+      if (!Object.keys(legacy).length) return;
+
+      const stored = { ...legacy, ...(await this.keyProvider.load()) };
+      await this.keyProvider.save(stored);
+      Object.keys(legacy).forEach(provider => store.removeItem(`${provider}_api_key`));
+      this._applyKeys(stored);
+    }
+
+    // Set provider API keys, e.g. from a settings form; an empty value
+    // removes a key. Keys are saved with the key provider unless `persist`
+    // is false.
+    async setApiKeys(keys, options = {}) {
+      if (this.keyProvider && options.persist !== false) {
+        try {
+          const stored = { ...(await this.keyProvider.load()) };
+          Object.entries(keys).forEach(([provider, key]) => {
+            if (key) stored[provider] = key;
+            else delete stored[provider];
+          });
+          await this.keyProvider.save(stored);
+        } catch (error) {
+          this._handleError(error, 'KEY_ERROR', `Failed to save API keys: ${error.message}`);
+        }
+      }
+
+      const apiKeys = { ...this.options.apiKeys };
+      Object.entries(keys).forEach(([provider, key]) => {
+        if (key) apiKeys[provider] = key;
+        else delete apiKeys[provider];
+      });
+      this.options.apiKeys = apiKeys;
+      this._keysChanged();
+      return this;
+    }
+
+    // Unlock keys saved by a key provider that encrypts them
+    async unlockKeys(passphrase) {
+      if (!this.keyProvider || typeof this.keyProvider.unlock !== 'function') {
+        this._handleError(new Error('The key provider does not support unlocking'), 'KEY_ERROR');
+      }
+      try {
+        this._applyKeys(await this.keyProvider.unlock(passphrase));
+        await this._migrateLegacyKeys();
+      } catch (error) {
+        this._handleError(error, 'KEY_ERROR');
+      }
+      return this;
+    }
+
+    // Lock the key provider again and forget the keys it supplied
+    lockKeys() {
+      if (this.keyProvider && typeof this.keyProvider.lock === 'function') {
+        this.keyProvider.lock();
+      }
+      this.options.apiKeys = { ...this.initialKeys };
+      this._keysChanged();
+    }
+
+    // Forget all API keys, including saved ones
+    async clearApiKeys() {
+      if (this.keyProvider) {
+        try {
+          await this.keyProvider.clear();
+        } catch (error) {
+          this._handleError(error, 'KEY_ERROR', `Failed to clear API keys: ${error.message}`);
+        }
+      }
+      this.initialKeys = {};
+      this.options.apiKeys = {};
+      this._keysChanged();
+    }
+
+    // A view of this instance that calls providers with different API keys,
+    // e.g. keys supplied per request by a server's clients. The view shares
+    // agents, tools, partials, usage and storage with this instance; only the
+    // providers are rebuilt. With `inherit: false` the view sees just the
+    // given keys and never falls back to this instance's own, and only the
+    // providers those keys are for are available (no mock, no custom
+    // adapters that may carry this instance's credentials).
+    withApiKeys(apiKeys = {}, options = {}) {
+      const base = this;
+      const view = Object.create(this);
+      view.options = {
+        ...this.options,
+        apiKeys: options.inherit === false ? { ...apiKeys } : { ...this.options.apiKeys, ...apiKeys }
+      };
+      // Keep storage writes in one queue so flushStorage() on either waits for both
+      Object.defineProperty(view, 'storageQueue', {
+        get: () => base.storageQueue,
+        set: queue => { base.storageQueue = queue; }
+      });
+
+      // Built-in adapters close over the instance that created them
+      view.providerRegistry = new Map();
+      view._registerBuiltinProviders();
+      this.providerRegistry.forEach((entry, name) => {
+        if (!entry.builtin) view.providerRegistry.set(name, entry);
+      });
+      if (options.inherit === false) {
+        Array.from(view.providerRegistry.keys()).forEach(name => {
+          if (!apiKeys[name]) view.providerRegistry.delete(name);
+        });
+      }
+      view._initializeProviders();
+      return view;
+    }
+
+    // Initialize API clients for all registered providers
+    _initializeProviders() {
+      this.providers = {};
+      // Discovered models and test results depend on the keys
+      this.modelCache = new Map();
+      this.modelDiscovery = new Set();
+      this.connectionStatus = new Map();
+      for (const name of this.providerRegistry.keys()) {
+        this.providers[name] = this._resolveProvider(name);
+      }
+    }
+
+    _createOpenAIProvider() {
+      if (!this.options.apiKeys.openai) return null;
+
+      // Async generator methods can't be arrow functions, so they use `self`
+      const self = this;
+
+      // The models endpoint doesn't report capabilities, so they are
+      // inferred from model IDs
+      const seesImages = id => /^(gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-4-vision|gpt-5|chatgpt-4o|o1(?!-mini|-preview)|o3|o4)/.test(id);
+      const capabilities = id => {
+        if (/^(dall-e|gpt-image)/.test(id)) return ['image'];
+        if (!/^(gpt-|o\d|chatgpt-)/.test(id)) return [];
+        if (/(instruct|audio|realtime|tts|transcribe|search|embedding)/.test(id)) return [];
+        return seesImages(id) ? ['chat', 'vision'] : ['chat'];
+      };
+
+      const headers = (agent) => ({
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.options.apiKeys.openai}`,
+        ...(agent && { 'OpenAI-Organization': agent.config.organization || '' })
+      });
+
+      // Request body shared by chat, stream and vision calls. Unset
+      // generation settings are undefined and so left out of the JSON.
+      // JSON mode needs the word "JSON" in the messages, hence the
+      // instruction added to the system message. `outputSchema: true`
+      // (any JSON) is JSON mode too.
+      const body = (context, modelName, messages, tools = [], outputSchema = null) => {
+        const generation = context.generation || {};
+        const jsonMode = (generation.jsonMode && !outputSchema) || outputSchema === true;
+        return {
+          model: modelName,
+          messages: jsonMode
+            ? messages.map((m, i) => (i === 0 && m.role === 'system' ? { ...m, content: `${m.content}\n\n${JSON_MODE_INSTRUCTION}` } : m))
+            : messages,
+          temperature: generation.temperature,
+          max_tokens: generation.maxTokens,
+          top_p: generation.topP,
+          frequency_penalty: generation.frequencyPenalty,
+          presence_penalty: generation.presencePenalty,
+          stop: generation.stop,
+          seed: generation.seed,
+          ...(jsonMode && { response_format: { type: 'json_object' } }),
+          ...(tools.length && {
+            tools: tools.map(tool => ({
+              type: 'function',
+              function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+            }))
+          }),
+          ...(outputSchema && outputSchema !== true && {
+            response_format: {
+              type: 'json_schema',
+              json_schema: {
+                name: (outputSchema.title || 'response').replace(/[^a-zA-Z0-9_-]/g, '_'),
+                schema: outputSchema
+              }
+            }
+          }),
+          stream: false
+        };
+      };
+
+      const usage = (raw) => raw && {
+        promptTokens: raw.prompt_tokens || 0,
+        completionTokens: raw.completion_tokens || 0,
+        totalTokens: raw.total_tokens || (raw.prompt_tokens || 0) + (raw.completion_tokens || 0)
+      };
+
+      // Shared by the image generation, edit and variation endpoints
+      // Images come back as URLs or, with response_format 'b64_json' and
+      // always for GPT Image models, as base64, which is returned as a data
+      // URI. DALL-E 3 also reports the prompt it actually used.
+      const imageRequest = async (context, endpoint, model, body, errorMessage) => {
+        const isForm = typeof body !== 'string';
+        const response = await context.fetch(`https://api.openai.com/v1/images/${endpoint}`, {
+          method: 'POST',
+          // Without a Content-Type, fetch sets the multipart boundary itself
+          headers: isForm ? { 'Authorization': `Bearer ${this.options.apiKeys.openai}` } : headers(),
+          body
+        });
+        const data = await this._readJson(response);
+        if (!response.ok) throw this._providerError(data, response, errorMessage);
+        const mimeType = `image/${data.output_format || 'png'}`;
+        return {
+          images: (data.data || []).map(image => image.url || `data:${mimeType};base64,${image.b64_json}`),
+          revisedPrompts: (data.data || []).map(image => image.revised_prompt).filter(Boolean),
+          model
+        };
+      };
+
+      // Generation settings for the image model. Each model family accepts
+      // its own extra settings, and GPT Image models take no response_format,
+      // so settings meant for one model do not break requests to another.
+      const imageSettings = (agent, model, options) => {
+        const isGptImage = /^gpt-image/.test(model);
+        const extras = isGptImage
+          ? ['quality', 'background', 'output_format', 'output_compression', 'moderation']
+          : /^dall-e-3/.test(model) ? ['quality', 'style'] : [];
+        const settings = {
+          model,
+          n: options.n || 1,
+          size: options.size || '1024x1024',
+          ...(!isGptImage && { response_format: options.response_format || 'url' }),
+          user: agent.id
+        };
+        extras.forEach(key => {
+          if (options[key] !== undefined) settings[key] = options[key];
+        });
+        return settings;
+      };
+
+      // Multipart body for the edits and variations endpoints. Images may be
+      // anything imageToBlob accepts; DALL-E expects square PNGs, and the
+      // mask's transparent areas mark where to edit.
+      const imageForm = async (context, images, fields) => {
+        const form = new FormData();
+        for (const [name, image] of Object.entries(images)) {
+          if (!image) continue;
+          const blob = await this._imageToBlob(image, context);
+          form.append(name, blob, `${name}.${blob.type.split('/')[1] || 'png'}`);
+        }
+        Object.entries(fields).forEach(([name, value]) => {
+          if (value !== undefined && value !== null) form.append(name, String(value));
+        });
+        return form;
+      };
+
+      return {
+        displayName: 'OpenAI',
+
+        chat: async (agent, message, context = {}) => {
+          try {
+            // Determine if this is a vision request
+            const isVisionRequest = message.content && message.content.type === 'image';
+            const modelName = (agent.config.model || this.options.defaultModel || 'gpt-4o').trim();
+            
+            this._log(`Making OpenAI request with model: ${modelName}`, 'info');
+            
+            let messages;
+            // Determine if this is a vision request - check both formats for backward compatibility
+            if (isVisionRequest || (message && message.type === 'image') || (message && message.content && typeof message.content === 'object' && message.content.type === 'image')) {
+              // Format vision-specific message
+              // Handle different possible formats for image data
+              let imageData;
+              
+              if (isVisionRequest) {
+                imageData = message.content;
+              } else if (message.type === 'image') {
+                imageData = message;
+              } else if (message.content && message.content.type === 'image') {
+                imageData = message.content;
+              }
+              
+              // Ensure we have valid image data
+              if (!imageData || !imageData.imageUrl) {
+                throw new Error('Invalid image data: Missing required imageUrl property');
+              }
+              
+              messages = [
+                { 
+                  role: 'system', 
+                  content: agent.config.systemPrompt || 'You are a helpful vision analysis assistant.'
+                },
+                {
+                  role: 'user',
+                  content: [
+                    {
+                      type: 'text',
+                      text: imageData.prompt || 'Please analyze this image.'
+                    },
+                    {
+                      type: 'image_url',
+                      image_url: {
+                        url: imageData.imageUrl,
+                        detail: imageData.detail || 'high' // 'auto', 'low', or 'high'
+                      }
+                    }
+                  ]
+                }
+              ];
+              
+              // Log the message structure for debugging
+              this._log(`Vision message structure: ${JSON.stringify(messages)}`, 'info');
+            } else {
+              // Standard chat message format
+              const userContent = this._normalizeUserContent(message);
+              messages = this._formatMessages('openai', agent, userContent, context.history, context.toolTurns);
+            }
+
+            const response = await context.fetch('https://api.openai.com/v1/chat/completions', {
+              method: 'POST',
+              headers: headers(agent),
+              body: JSON.stringify(body(context, modelName, messages, context.tools, context.outputSchema))
+            });
+
+            const data = await this._readJson(response);
+            
+            if (!response.ok) {
+              this._log(`OpenAI API error: ${JSON.stringify(data)}`, 'error');
+              throw this._providerError(data, response, `OpenAI API error: ${response.status}`);
+            }
+            
+            // Log successful vision processing
+            if (isVisionRequest) {
+              this._log(`Successfully processed vision request with model: ${modelName}`);
+            }
+            
+            const reply = data.choices[0].message;
+            return {
+              content: reply.content,
+              usage: usage(data.usage),
+              toolCalls: (reply.tool_calls || []).map(call => ({
+                id: call.id,
+                name: call.function.name,
+                arguments: JSON.parse(call.function.arguments || '{}')
+              }))
+            };
+          } catch (error) {
+            // The caller reports aborted calls, once, as CANCELLED or TIMEOUT
+            if (context.signal && context.signal.aborted) throw error;
+            this._log(`OpenAI error details: ${error.message}`, 'error');
+            this._handleError(error, 'PROVIDER_ERROR', 'OpenAI request failed');
+          }
+        },
+
+        stream: async function* (agent, message, context = {}) {
+          const modelName = (agent.config.model || self.options.defaultModel || 'gpt-4o').trim();
+          const messages = self._formatMessages('openai', agent, self._normalizeUserContent(message), context.history);
+
+          const response = await context.fetch('https://api.openai.com/v1/chat/completions', {
+            method: 'POST',
+            headers: headers(agent),
+            body: JSON.stringify({
+              ...body(context, modelName, messages),
+              stream: true,
+              stream_options: { include_usage: true }
+            }),
+            signal: context.signal
+          });
+          await self._assertStreamResponse(response, 'OpenAI');
+
+          for await (const event of self._parseSSE(response)) {
+            if (event.data === '[DONE]') return;
+            const data = JSON.parse(event.data);
+            // The final chunk carries usage and no choices
+            if (data.usage) context.usage = usage(data.usage);
+            const delta = data.choices?.[0]?.delta?.content;
+            if (delta) yield delta;
+          }
+        },
+
+        // Models that cannot see images, such as GPT-3.5, fall back to the
+        // vision default
+        vision: async (agent, images, context = {}) => {
+          const options = context.options || {};
+          const configured = (agent.config.model || '').trim();
+          const modelName = seesImages(configured) ? configured : 'gpt-4o';
+          const messages = [
+            { role: 'system', content: agent.config.systemPrompt || 'You are a helpful vision analysis assistant.' },
+            { role: 'user', content: [
+              { type: 'text', text: options.prompt || 'Please analyze this image.' },
+              ...images.map(image => ({
+                type: 'image_url',
+                image_url: { url: image.url || `data:${image.mimeType};base64,${image.data}`, detail: options.detail || 'high' }
+              }))
+            ] }
+          ];
+          const response = await context.fetch('https://api.openai.com/v1/chat/completions', {
+            method: 'POST',
+            headers: headers(),
+            body: JSON.stringify(body(context, modelName, messages, [], context.outputSchema))
+          });
+          const data = await this._readJson(response);
+          if (!response.ok) throw this._providerError(data, response, 'OpenAI image analysis error');
+          return { content: data.choices[0].message.content, usage: usage(data.usage), model: modelName };
+        },
+
+        generateImage: (agent, prompt, context = {}) => {
+          const options = context.options || {};
+          const model = options.model || agent.config.imageModel || 'dall-e-2';
+          return imageRequest(context, 'generations', model, JSON.stringify({
+            prompt,
+            ...imageSettings(agent, model, options)
+          }), 'OpenAI image generation error');
+        },
+
+        // Inpainting: pass options.mask to limit the edit to its transparent
+        // areas. DALL-E 3 cannot edit, so other image models use DALL-E 2.
+        editImage: async (agent, imageData, prompt, context = {}) => {
+          const options = context.options || {};
+          const requested = options.model || agent.config.imageModel || '';
+          const model = /^(gpt-image|dall-e-2)/.test(requested) ? requested : 'dall-e-2';
+          const form = await imageForm(context, { image: imageData, mask: options.mask }, {
+            prompt,
+            ...imageSettings(agent, model, options)
+          });
+          return imageRequest(context, 'edits', model, form, 'OpenAI image edit error');
+        },
+
+        // Only DALL-E 2 makes variations
+        variationImage: async (agent, imageData, context = {}) => {
+          const options = context.options || {};
+          const form = await imageForm(context, { image: imageData }, imageSettings(agent, 'dall-e-2', options));
+          return imageRequest(context, 'variations', 'dall-e-2', form, 'OpenAI image variation error');
+        },
+
+        listModels: async (context = {}) => {
+          const response = await context.fetch('https://api.openai.com/v1/models', { headers: headers() });
+          const data = await this._readJson(response);
+          if (!response.ok) throw this._providerError(data, response, 'OpenAI model listing error');
+          return (data.data || [])
+            .map(model => ({ id: model.id, capabilities: capabilities(model.id) }))
+            .filter(model => model.capabilities.length)
+            .sort((a, b) => a.id.localeCompare(b.id));
+        },
+
+        // Listing models is the cheapest request that checks the key
+        testConnection: async (context = {}) => {
+          const response = await context.fetch('https://api.openai.com/v1/models', { headers: headers() });
+          if (response.ok) return { ok: true };
+          const data = await this._readJson(response);
+          return { ok: false, status: response.status, error: this._providerError(data, response, `HTTP ${response.status}`).message };
+        },
+
+        defaultModels: {
+          chat: 'gpt-4o',
+          vision: 'gpt-4o',
+          image: 'dall-e-2'
+        }
+      };
+    }
+
+    _createAnthropicProvider() {
+      if (!this.options.apiKeys.anthropic) return null;
+
+      const self = this;
+
+      const headers = () => ({
+        'Content-Type': 'application/json',
+        'x-api-key': this.options.apiKeys.anthropic,
+        'anthropic-version': '2023-06-01'
+      });
+
+      const usage = (raw) => raw && {
+        promptTokens: raw.input_tokens || 0,
+        completionTokens: raw.output_tokens || 0,
+        totalTokens: (raw.input_tokens || 0) + (raw.output_tokens || 0)
+      };
+
+      // Anthropic has no JSON mode, so structured output is requested by
+      // forcing a tool whose input schema is the output schema
+      const outputTool = 'json_response';
+
+      // Unset generation settings are left out; max_tokens is required.
+      // Anthropic has no JSON mode, so it is asked for in the system prompt.
+      const body = (agent, message, context, system = agent.config.systemPrompt) => {
+        const generation = context.generation || {};
+        const tools = (context.tools || []).map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          input_schema: tool.parameters
+        }));
+        if (context.outputSchema) {
+          tools.push({
+            name: outputTool,
+            description: 'Respond with the final answer as structured data.',
+            // Tool input is always an object, so any JSON becomes any object
+            input_schema: context.outputSchema === true ? { type: 'object' } : context.outputSchema
+          });
+        }
+
+        return {
+          model: agent.config.model || 'claude-3-opus-20240229',
+          max_tokens: generation.maxTokens ?? GENERATION_DEFAULTS.maxTokens,
+          temperature: generation.temperature,
+          system: generation.jsonMode && !context.outputSchema
+            ? [system, JSON_MODE_INSTRUCTION].filter(Boolean).join('\n\n')
+            : system,
+          messages: this._formatMessages('anthropic', agent, message, context.history, context.toolTurns),
+          top_p: generation.topP,
+          top_k: generation.topK,
+          stop_sequences: generation.stop,
+          ...(tools.length && { tools }),
+          // Force the output tool, or any tool when the agent has its own tools
+          ...(context.outputSchema && {
+            tool_choice: context.tools && context.tools.length
+              ? { type: 'any' }
+              : { type: 'tool', name: outputTool }
+          }),
+          metadata: {
+            user_id: agent.id
+          }
+        };
+      };
+
+      const reply = (data) => {
+        const output = data.content.find(block => block.type === 'tool_use' && block.name === outputTool);
+        if (output) {
+          return { content: JSON.stringify(output.input), toolCalls: [], usage: usage(data.usage) };
+        }
+        return {
+          content: data.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+          usage: usage(data.usage),
+          toolCalls: data.content.filter(block => block.type === 'tool_use').map(block => ({
+            id: block.id,
+            name: block.name,
+            arguments: block.input || {}
+          }))
+        };
+      };
+
+      return {
+        displayName: 'Anthropic',
+
+        chat: async (agent, message, context = {}) => {
+          try {
+            const response = await context.fetch('https://api.anthropic.com/v1/messages', {
+              method: 'POST',
+              headers: headers(),
+              body: JSON.stringify(body(agent, message, context))
+            });
+
+            const data = await this._readJson(response);
+            if (!response.ok) throw this._providerError(data, response, 'Anthropic API error');
+            return reply(data);
+          } catch (error) {
+            if (context.signal && context.signal.aborted) throw error;
+            this._handleError(error, 'PROVIDER_ERROR', 'Anthropic request failed');
+          }
+        },
+
+        stream: async function* (agent, message, context = {}) {
+          const response = await context.fetch('https://api.anthropic.com/v1/messages', {
+            method: 'POST',
+            headers: headers(),
+            body: JSON.stringify({ ...body(agent, message, context), stream: true }),
+            signal: context.signal
+          });
+          await self._assertStreamResponse(response, 'Anthropic');
+
+          // Input tokens arrive with message_start, output tokens with message_delta
+          const streamUsage = {};
+          for await (const event of self._parseSSE(response)) {
+            const data = JSON.parse(event.data);
+            if (data.type === 'error') throw new Error(data.error?.message || 'Anthropic stream error');
+            if (data.type === 'message_start' || data.type === 'message_delta') {
+              Object.assign(streamUsage, data.message?.usage, data.usage);
+              context.usage = usage(streamUsage);
+            }
+            if (data.type === 'message_stop') return;
+            if (data.type === 'content_block_delta' && data.delta?.text) yield data.delta.text;
+          }
+        },
+
+        // Images go before the prompt, as Anthropic recommends. Claude 2
+        // models cannot see images, so they fall back to the vision default.
+        vision: async (agent, images, context = {}) => {
+          const options = context.options || {};
+          const model = /^claude-(2|instant)/.test(agent.config.model || '') ? 'claude-3-opus-20240229' : agent.config.model;
+          // A view of the agent with the vision model that keeps its prototype
+          const viewer = Object.create(agent);
+          viewer.config = { ...agent.config, model };
+          const content = [
+            ...images.map(image => ({
+              type: 'image',
+              source: image.url
+                ? { type: 'url', url: image.url }
+                : { type: 'base64', media_type: image.mimeType, data: image.data }
+            })),
+            { type: 'text', text: options.prompt || 'Please analyze this image.' }
+          ];
+          const response = await context.fetch('https://api.anthropic.com/v1/messages', {
+            method: 'POST',
+            headers: headers(),
+            body: JSON.stringify({
+              ...body(viewer, '', context, agent.config.systemPrompt || 'You are a helpful vision analysis assistant.'),
+              messages: [{ role: 'user', content }]
+            })
+          });
+          const data = await this._readJson(response);
+          if (!response.ok) throw this._providerError(data, response, 'Anthropic image analysis error');
+          const { content: text, usage: tokens } = reply(data);
+          return { content: text, usage: tokens, model };
+        },
+
+        listModels: async (context = {}) => {
+          const response = await context.fetch('https://api.anthropic.com/v1/models?limit=1000', { headers: headers() });
+          const data = await this._readJson(response);
+          if (!response.ok) throw this._providerError(data, response, 'Anthropic model listing error');
+          return (data.data || []).map(model => ({
+            id: model.id,
+            name: model.display_name,
+            // Claude 3 and later accept images
+            capabilities: /^claude-(2|instant)/.test(model.id) ? ['chat'] : ['chat', 'vision']
+          }));
+        },
+
+        testConnection: async (context = {}) => {
+          const response = await context.fetch('https://api.anthropic.com/v1/models?limit=1', { headers: headers() });
+          if (response.ok) return { ok: true };
+          const data = await this._readJson(response);
+          return { ok: false, status: response.status, error: this._providerError(data, response, `HTTP ${response.status}`).message };
+        },
+
+        defaultModels: {
+          chat: 'claude-3-opus-20240229',
+          completion: 'claude-3-sonnet-20240229',
+          vision: 'claude-3-opus-20240229'
+        }
+      };
+    }
+
+    _createGoogleProvider() {
+      if (!this.options.apiKeys.google) return null;
+
+      const self = this;
+
+      const models = 'https://generativelanguage.googleapis.com/v1beta/models';
+      const endpoint = (agent, method) => `${models}/${agent.config.model || 'gemini-pro'}:${method}`;
+      // Gemini 1.0 models cannot see images
+      const visionModel = 'gemini-1.5-flash';
+      const imageModel = 'imagen-3.0-generate-002';
+
+      const usage = (raw) => raw && {
+        promptTokens: raw.promptTokenCount || 0,
+        completionTokens: raw.candidatesTokenCount || 0,
+        totalTokens: raw.totalTokenCount || (raw.promptTokenCount || 0) + (raw.candidatesTokenCount || 0)
+      };
+
+      // Safety levels name the lowest harm probability that is blocked
+      const thresholds = { none: 'BLOCK_NONE', high: 'BLOCK_ONLY_HIGH', medium: 'BLOCK_MEDIUM_AND_ABOVE', low: 'BLOCK_LOW_AND_ABOVE' };
+      const categories = {
+        harassment: 'HARM_CATEGORY_HARASSMENT',
+        hateSpeech: 'HARM_CATEGORY_HATE_SPEECH',
+        sexuallyExplicit: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+        dangerousContent: 'HARM_CATEGORY_DANGEROUS_CONTENT'
+      };
+      const safetySettings = (safety) => {
+        const levels = typeof safety === 'string'
+          ? Object.fromEntries(Object.keys(categories).map(category => [category, safety]))
+          : safety;
+        return Object.entries(levels).map(([category, level]) => ({
+          category: categories[category],
+          threshold: thresholds[level]
+        }));
+      };
+
+      // Unset generation settings are left out, and without `safety` the
+      // model's default filters apply
+      const body = (agent, message, context) => {
+        const generation = context.generation || {};
+        return {
+          contents: this._formatMessages('google', agent, message, context.history, context.toolTurns),
+          ...(context.tools && context.tools.length && {
+            tools: [{
+              functionDeclarations: context.tools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.parameters
+              }))
+            }]
+          }),
+          generationConfig: {
+            temperature: generation.temperature,
+            maxOutputTokens: generation.maxTokens,
+            topP: generation.topP,
+            topK: generation.topK,
+            presencePenalty: generation.presencePenalty,
+            frequencyPenalty: generation.frequencyPenalty,
+            stopSequences: generation.stop,
+            seed: generation.seed,
+            candidateCount: 1,
+            ...(generation.jsonMode && { responseMimeType: 'application/json' }),
+            ...(context.outputSchema && {
+              responseMimeType: 'application/json',
+              ...(context.outputSchema !== true && { responseSchema: this._toGeminiSchema(context.outputSchema) })
+            })
+          },
+          ...(generation.safety && { safetySettings: safetySettings(generation.safety) })
+        };
+      };
+
+      return {
+        displayName: 'Google',
+
+        chat: async (agent, message, context = {}) => {
+          try {
+            const response = await context.fetch(`${endpoint(agent, 'generateContent')}?key=${this.options.apiKeys.google}`, {
+              method: 'POST',
+              headers: {
+                'Content-Type': 'application/json'
+              },
+              body: JSON.stringify(body(agent, message, context))
+            });
+
+            const data = await this._readJson(response);
+            if (!response.ok) throw this._providerError(data, response, 'Google API error');
+            const parts = data.candidates[0].content.parts || [];
+            return {
+              content: parts.map(part => part.text || '').join(''),
+              usage: usage(data.usageMetadata),
+              // Gemini has no call IDs, so generate them to pair results with calls
+              toolCalls: parts.filter(part => part.functionCall).map(part => ({
+                id: this._generateId('call'),
+                name: part.functionCall.name,
+                arguments: part.functionCall.args || {}
+              }))
+            };
+          } catch (error) {
+            if (context.signal && context.signal.aborted) throw error;
+            this._handleError(error, 'PROVIDER_ERROR', 'Google request failed');
+          }
+        },
+
+        stream: async function* (agent, message, context = {}) {
+          const response = await context.fetch(`${endpoint(agent, 'streamGenerateContent')}?alt=sse&key=${self.options.apiKeys.google}`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body(agent, message, context)),
+            signal: context.signal
+          });
+          await self._assertStreamResponse(response, 'Google');
+
+          for await (const event of self._parseSSE(response)) {
+            const data = JSON.parse(event.data);
+            // Each chunk reports the cumulative usage so far
+            if (data.usageMetadata) context.usage = usage(data.usageMetadata);
+            const parts = data.candidates?.[0]?.content?.parts || [];
+            const delta = parts.map(part => part.text || '').join('');
+            if (delta) yield delta;
+          }
+        },
+
+        // URL images are downloaded, since inlineData is the only image
+        // part the Gemini API takes without uploading through its Files API
+        vision: async (agent, images, context = {}) => {
+          const options = context.options || {};
+          const model = /^gemini-(?!1\.0|pro$)/.test(agent.config.model || '') ? agent.config.model : visionModel;
+          const inline = await Promise.all(images.map(image => this._inlineImage(image, context)));
+          const parts = [
+            { text: options.prompt || 'Please analyze this image.' },
+            ...inline.map(image => ({ inlineData: { mimeType: image.mimeType, data: image.data } }))
+          ];
+          const response = await context.fetch(`${models}/${model}:generateContent?key=${this.options.apiKeys.google}`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+              ...body(agent, '', context),
+              // The system prompt leads as a user turn, as in chat
+              contents: [
+                ...(agent.config.systemPrompt ? [{ role: 'user', parts: [{ text: agent.config.systemPrompt }] }] : []),
+                { role: 'user', parts }
+              ]
+            })
+          });
+          const data = await this._readJson(response);
+          if (!response.ok) throw this._providerError(data, response, 'Google image analysis error');
+          return {
+            content: (data.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join(''),
+            usage: usage(data.usageMetadata),
+            model
+          };
+        },
+
+        // Imagen answers with base64 images, returned as data URIs. Images
+        // blocked by its safety filters are left out of the result.
+        generateImage: async (agent, prompt, context = {}) => {
+          const options = context.options || {};
+          const model = options.model || agent.config.imageModel || imageModel;
+          const parameters = { sampleCount: options.n || 1 };
+          ['aspectRatio', 'personGeneration', 'safetyFilterLevel', 'addWatermark', 'enhancePrompt'].forEach(key => {
+            if (options[key] !== undefined) parameters[key] = options[key];
+          });
+          const response = await context.fetch(`${models}/${model}:predict?key=${this.options.apiKeys.google}`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ instances: [{ prompt }], parameters })
+          });
+          const data = await this._readJson(response);
+          if (!response.ok) throw this._providerError(data, response, 'Google image generation error');
+          const predictions = (data.predictions || []).filter(prediction => prediction.bytesBase64Encoded);
+          return {
+            images: predictions.map(prediction => `data:${prediction.mimeType || 'image/png'};base64,${prediction.bytesBase64Encoded}`),
+            revisedPrompts: predictions.map(prediction => prediction.prompt).filter(Boolean),
+            model
+          };
+        },
+
+        listModels: async (context = {}) => {
+          const response = await context.fetch(`${models}?pageSize=1000&key=${this.options.apiKeys.google}`);
+          const data = await this._readJson(response);
+          if (!response.ok) throw this._providerError(data, response, 'Google model listing error');
+          return (data.models || []).map(model => {
+            const id = model.name.replace(/^models\//, '');
+            const methods = model.supportedGenerationMethods || [];
+            const capabilities = [];
+            if (methods.includes('generateContent')) {
+              capabilities.push('chat');
+              // Gemini 1.5 and later accept images
+              if (/^gemini-(?!1\.0|pro$)/.test(id)) capabilities.push('vision');
+            }
+            if (methods.includes('predict') && /^imagen/.test(id)) capabilities.push('image');
+            return { id, name: model.displayName, capabilities };
+          }).filter(model => model.capabilities.length);
+        },
+
+        testConnection: async (context = {}) => {
+          const response = await context.fetch(`${models}?pageSize=1&key=${this.options.apiKeys.google}`);
+          if (response.ok) return { ok: true };
+          const data = await this._readJson(response);
+          return { ok: false, status: response.status, error: this._providerError(data, response, `HTTP ${response.status}`).message };
+        },
+
+        defaultModels: {
+          chat: 'gemini-pro',
+          vision: visionModel,
+          image: imageModel
+        }
+      };
+    }
+
+    // Built-in provider for offline tests: answers come from a script instead
+    // of an API. Scripted responses are strings, objects ({ content,
+    // toolCalls, usage, delayMs, error: { status, message, code } }) or
+    // functions (message, { agent, history, toolTurns }) returning either.
+    // Objects may set `match` (substring, RegExp or predicate) and `agent`
+    // to apply only to some calls, and `repeat: true` to be reused;
+    // otherwise each response is used once, in order.
+    _createMockProvider() {
+      const self = this;
+      const settings = {
+        latencyMs: 0,
+        chunkDelayMs: 0,
+        defaultResponse: message => `Mock response to: ${typeof message === 'string' ? message : JSON.stringify(message)}`,
+        ...this.options.mock
+      };
+
+      const matches = (entry, agent, text) => {
+        if (!entry || typeof entry !== 'object') return true;
+        if (entry.agent && entry.agent !== agent.id) return false;
+        if (entry.match === undefined) return true;
+        if (entry.match instanceof RegExp) return entry.match.test(text);
+        if (typeof entry.match === 'function') return entry.match(text, agent);
+        return text.includes(entry.match);
+      };
+
+      const respond = async (agent, message, context) => {
+        const text = typeof message === 'string' ? message : JSON.stringify(message);
+        self.mockState.calls.push({
+          agentId: agent.id,
+          model: agent.config.model,
+          message,
+          systemPrompt: agent.config.systemPrompt,
+          history: context.history || [],
+          toolTurns: context.toolTurns || [],
+          tools: (context.tools || []).map(tool => tool.name),
+          generation: context.generation || {},
+          ...(context.images && { images: context.images }),
+          timestamp: new Date()
+        });
+
+        const queue = self.mockState.responses;
+        const index = queue.findIndex(entry => matches(entry, agent, text));
+        let entry = index === -1 ? settings.defaultResponse : queue[index];
+        if (index !== -1 && !(entry && typeof entry === 'object' && entry.repeat === true)) queue.splice(index, 1);
+        if (typeof entry === 'function') {
+          entry = await entry(message, { agent, history: context.history || [], toolTurns: context.toolTurns || [] });
+        }
+        const response = typeof entry === 'string' ? { content: entry } : { ...entry };
+
+        const latency = response.delayMs !== undefined ? response.delayMs : settings.latencyMs;
+        const delay = Array.isArray(latency) ? latency[0] + Math.random() * (latency[1] - latency[0]) : latency;
+        if (delay) await self._sleep(delay, context.signal);
+
+        if (response.error) {
+          const error = new Error(response.error.message || 'Mock provider error');
+          error.status = response.error.status;
+          error.providerCode = response.error.code;
+          throw error;
+        }
+
+        const content = typeof response.content === 'string' ? response.content : JSON.stringify(response.content ?? '');
+        const promptText = [agent.config.systemPrompt || '', ...(context.history || []).map(m => m.content), text].join(' ');
+        return {
+          content,
+          toolCalls: (response.toolCalls || []).map(call => ({ id: call.id || self._generateId('call'), arguments: {}, ...call })),
+          usage: response.usage || {
+            promptTokens: Math.ceil(promptText.length / 4),
+            completionTokens: Math.ceil(content.length / 4),
+            totalTokens: Math.ceil(promptText.length / 4) + Math.ceil(content.length / 4)
+          },
+          chunkDelayMs: response.chunkDelayMs !== undefined ? response.chunkDelayMs : settings.chunkDelayMs
+        };
+      };
+
+      return {
+        displayName: 'Mock',
+
+        chat: async (agent, message, context = {}) => {
+          try {
+            const { content, toolCalls, usage } = await respond(agent, message, context);
+            return { content, toolCalls, usage };
+          } catch (error) {
+            if (context.signal && context.signal.aborted) throw error;
+            this._handleError(error, 'PROVIDER_ERROR', 'Mock request failed');
+          }
+        },
+
+        // Streams the scripted content word by word
+        stream: async function* (agent, message, context = {}) {
+          const { content, usage, chunkDelayMs } = await respond(agent, message, context);
+          for (const chunk of content.match(/\S+\s*|\s+/g) || []) {
+            if (chunkDelayMs) await self._sleep(chunkDelayMs, context.signal);
+            yield chunk;
+          }
+          context.usage = usage;
+        },
+
+        vision: async (agent, images, context = {}) => {
+          const options = context.options || {};
+          const { content, usage } = await respond(agent, options.prompt || 'Please analyze this image.', { ...context, images });
+          return { content, usage };
+        },
+
+        generateImage: async (agent, prompt, context = {}) => (await respond(agent, prompt, context)).content,
+
+        listModels: async () => [
+          { id: 'mock', capabilities: ['chat', 'stream', 'vision', 'image'] }
+        ],
+
+        testConnection: async () => ({ ok: true }),
+
+        defaultModels: {
+          chat: 'mock',
+          vision: 'mock',
+          image: 'mock'
+        }
+      };
+    }
+
+    // Queue scripted responses for the mock provider
+    mockResponses(...responses) {
+      this.mockState.responses.push(...responses);
+    }
+
+    // Calls the mock provider received, oldest first
+    getMockCalls() {
+      return this.mockState.calls;
+    }
+
+    // Forget queued mock responses and recorded mock calls
+    resetMock() {
+      this.mockState.responses = [];
+      this.mockState.calls = [];
+    }
+
+    // Helper function to format messages based on provider. `history` holds
+    // prior thread turns as { role: 'user' | 'assistant', content } and is
+    // replayed between the examples and the new message. `toolTurns` holds
+    // the tool-calling exchange that follows the new message: assistant turns
+    // with `toolCalls` and { role: 'tool', toolCallId, name, content } results.
+    _formatMessages(provider, agent, message, history = [], toolTurns = []) {
+      switch (provider) {
+        case 'openai':
+          return [
+            { role: 'system', content: agent.config.systemPrompt || 'You are a helpful assistant.' },
+            ...(agent.config.examples || []).flatMap(ex => [
+              { role: 'user', content: ex.user },
+              { role: 'assistant', content: ex.assistant }
+            ]),
+            ...this._formatTurns('openai', history),
+            { role: 'user', content: message },
+            ...this._formatTurns('openai', toolTurns)
+          ];
+
+        case 'anthropic':
+          return [
+            ...(agent.config.examples || []).flatMap(ex => [
+              { role: 'user', content: ex.user },
+              { role: 'assistant', content: ex.assistant }
+            ]),
+            ...this._formatTurns('anthropic', history),
+            { role: 'user', content: message },
+            ...this._formatTurns('anthropic', toolTurns)
+          ];
+
+        case 'google':
+          return [
+            {
+              role: 'user',
+              parts: [{ text: agent.config.systemPrompt }]
+            },
+            ...(agent.config.examples || []).flatMap(ex => [
+              {
+                role: 'user',
+                parts: [{ text: ex.user }]
+              },
+              {
+                role: 'model',
+                parts: [{ text: ex.assistant }]
+              }
+            ]),
+            ...this._formatTurns('google', history),
+            {
+              role: 'user',
+              parts: [{ text: message }]
+            },
+            ...this._formatTurns('google', toolTurns)
+          ];
+
+        default:
+          throw new Error(`Unsupported provider: ${provider}`);
+      }
+    }
+
+    // Format conversation turns, including tool calls and tool results
+    _formatTurns(provider, turns) {
+      const formatted = [];
+
+      turns.forEach(turn => {
+        const toolCalls = turn.toolCalls || [];
+
+        switch (provider) {
+          case 'openai':
+            if (turn.role === 'tool') {
+              formatted.push({ role: 'tool', tool_call_id: turn.toolCallId, content: turn.content });
+            } else if (toolCalls.length) {
+              formatted.push({
+                role: 'assistant',
+                content: turn.content || null,
+                tool_calls: toolCalls.map(call => ({
+                  id: call.id,
+                  type: 'function',
+                  function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+                }))
+              });
+            } else {
+              formatted.push({ role: turn.role, content: turn.content });
+            }
+            break;
+
+          case 'anthropic': {
+            // Consecutive tool results must share a single user message
+            const previous = formatted[formatted.length - 1];
+            if (turn.role === 'tool') {
+              const block = { type: 'tool_result', tool_use_id: turn.toolCallId, content: turn.content };
+              if (previous && previous.role === 'user' && Array.isArray(previous.content)) {
+                previous.content.push(block);
+              } else {
+                formatted.push({ role: 'user', content: [block] });
+              }
+            } else if (toolCalls.length) {
+              formatted.push({
+                role: 'assistant',
+                content: [
+                  ...(turn.content ? [{ type: 'text', text: turn.content }] : []),
+                  ...toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} }))
+                ]
+              });
+            } else {
+              formatted.push({ role: turn.role, content: turn.content });
+            }
+            break;
+          }
+
+          case 'google': {
+            const previous = formatted[formatted.length - 1];
+            if (turn.role === 'tool') {
+              const part = { functionResponse: { name: turn.name, response: { result: turn.content } } };
+              if (previous && previous.parts.every(p => p.functionResponse)) {
+                previous.parts.push(part);
+              } else {
+                formatted.push({ role: 'user', parts: [part] });
+              }
+            } else if (toolCalls.length) {
+              formatted.push({
+                role: 'model',
+                parts: [
+                  ...(turn.content ? [{ text: turn.content }] : []),
+                  ...toolCalls.map(call => ({ functionCall: { name: call.name, args: call.arguments || {} } }))
+                ]
+              });
+            } else {
+              formatted.push({ role: turn.role === 'assistant' ? 'model' : 'user', parts: [{ text: turn.content }] });
+            }
+            break;
+          }
+
+          default:
+            throw new Error(`Unsupported provider: ${provider}`);
+        }
+      });
+
+      return formatted;
+    }
+
+    // Normalize image input for vision adapters. Accepts a URL, a data URI,
+    // base64, a Blob or File, a Buffer, typed array or ArrayBuffer, an object
+    // with `url`, `imageUrl` or `data` (and `mimeType`), or an array of
+    // these. Resolves to an array of { url } or { mimeType, data } entries,
+    // with `data` in base64.
+    async _normalizeImages(imageData) {
+      const inputs = Array.isArray(imageData) ? imageData : [imageData];
+      if (!inputs.length) throw new Error('No image provided');
+
+      const typeOf = (bytes, type) => {
+        const mimeType = (type && type.startsWith('image/')) ? type : sniffImageType(bytes);
+        if (!mimeType) throw new Error('Unrecognized image format; expected PNG, JPEG, GIF or WebP');
+        return mimeType;
+      };
+      const fromBytes = (bytes, type) => ({ mimeType: typeOf(bytes, type), data: toBase64(bytes) });
+      // The first 24 base64 characters decode to the 18 bytes the signatures need
+      const fromText = (data, type) => ({ mimeType: typeOf(fromBase64(data.slice(0, 24)), type), data });
+
+      return Promise.all(inputs.map(async input => {
+        if (typeof input === 'string') {
+          const text = input.trim();
+          if (/^https?:\/\//i.test(text)) return { url: text };
+          const dataUri = text.match(/^data:([^;,]*)(?:;[^,]*)?;base64,(.*)$/s);
+          if (dataUri) return fromText(dataUri[2].replace(/\s/g, ''), dataUri[1]);
+          if (/^[A-Za-z0-9+/=\s]+$/.test(text)) return fromText(text.replace(/\s/g, ''));
+          throw new Error('Image strings must be an http(s) URL, a data URI or base64');
+        }
+        if (typeof Blob !== 'undefined' && input instanceof Blob) {
+          return fromBytes(new Uint8Array(await input.arrayBuffer()), input.type);
+        }
+        if (input instanceof ArrayBuffer) return fromBytes(new Uint8Array(input));
+        if (ArrayBuffer.isView(input)) {
+          return fromBytes(new Uint8Array(input.buffer, input.byteOffset, input.byteLength));
+        }
+        if (input && typeof input === 'object') {
+          if (input.url || input.imageUrl) return (await this._normalizeImages(input.url || input.imageUrl))[0];
+          if (input.data) {
+            const [image] = await this._normalizeImages(input.data);
+            return input.mimeType ? { ...image, mimeType: input.mimeType } : image;
+          }
+        }
+        throw new Error('Unsupported image input');
+      }));
+    }
+
+    // Download a URL image as { mimeType, data }, for providers that only
+    // accept inline images. The download goes through context.fetch, so
+    // recording, retries and the key provider apply to it too.
+    async _inlineImage(image, context) {
+      if (!image.url) return image;
+      const response = await context.fetch(image.url);
+      if (!response.ok) throw new Error(`Failed to download image (HTTP ${response.status}): ${image.url}`);
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      const type = (response.headers.get('content-type') || '').split(';')[0].trim();
+      const mimeType = type.startsWith('image/') ? type : sniffImageType(bytes);
+      if (!mimeType) throw new Error(`Not an image: ${image.url}`);
+      return { mimeType, data: toBase64(bytes) };
+    }
+
+    // Coerce a chat message into the plain string content providers expect
+    _normalizeUserContent(message) {
+      let userContent = '';
+
+      if (typeof message === 'string') {
+        userContent = message;
+      } else if (message && typeof message.content === 'string') {
+        userContent = message.content;
+      } else if (message && message.content) {
+        // If content is an object, convert it to a string
+        try {
+          userContent = JSON.stringify(message.content);
+        } catch (e) {
+          userContent = 'Unable to process message content';
+        }
+      } else if (message) {
+        // If message is an object but doesn't have content property
+        try {
+          userContent = JSON.stringify(message);
+        } catch (e) {
+          userContent = 'Unable to process message';
+        }
+      } else {
+        userContent = 'No message provided';
+      }
+
+      // Log the processed content for debugging
+      this._log(`Processed user content: ${userContent.substring(0, 100)}${userContent.length > 100 ? '...' : ''}`, 'info');
+      return userContent;
+    }
+
+    // Throw with the provider's error message if a streaming request failed
+    async _assertStreamResponse(response, providerName) {
+      if (response.ok) return;
+
+      const data = await this._readJson(response);
+      throw this._providerError(data, response, `${providerName} API error: ${response.status}`);
+    }
+
+    // Parse a JSON response body. Error responses (e.g. a gateway's HTML
+    // 502 page) may not be JSON, so those fall back to an empty object.
+    async _readJson(response) {
+      try {
+        return await response.json();
+      } catch (error) {
+        if (response.ok) throw error;
+        return {};
+      }
+    }
+
+    // Build an Error from a provider's error response, keeping the HTTP
+    // status and the provider's error code for retry and fallback decisions
+    _providerError(data, response, fallbackMessage) {
+      const error = new Error(data?.error?.message || fallbackMessage);
+      error.status = response.status;
+      error.providerCode = data?.error?.code || data?.error?.type || data?.error?.status;
+      return error;
+    }
+
+    // Build the per-call context handed to provider adapters. `fetch` goes
+    // through _request so adapters get retries, rate limiting and the
+    // call's abort signal for free.
+    _createContext(provider, agent, extra = {}) {
+      const context = {
+        history: [],
+        options: {},
+        ...extra
+      };
+      context.generation = this._generationOptions(agent, context.options);
+      context.fetch = (url, init = {}) => this._request(provider, agent, url, {
+        ...init,
+        signal: init.signal || context.signal
+      }, context);
+      return context;
+    }
+
+    // Resolve GENERATION_SETTINGS from the call options, then the agent
+    // config, then GENERATION_DEFAULTS. `??` keeps deliberate falsy values
+    // such as temperature: 0 or seed: 0.
+    _generationOptions(agent, options = {}) {
+      const config = (agent && agent.config) || {};
+      const settings = {};
+      GENERATION_SETTINGS.forEach(key => {
+        const value = options[key] ?? config[key] ?? GENERATION_DEFAULTS[key];
+        if (value !== undefined) settings[key] = value;
+      });
+      if (typeof settings.stop === 'string') settings.stop = [settings.stop];
+      return settings;
+    }
+
+    // Combine the caller's options.signal, a timeout (options.timeoutMs, else
+    // the agent's config.timeoutMs, else the instance's) and cancelAll()
+    // into one AbortSignal for a call. status() is 'cancelled' or 'timeout'
+    // once the signal has fired; done() must run when the call settles.
+    _createAbortScope(agent, options = {}) {
+      const controller = new AbortController();
+      const abort = reason => {
+        if (!controller.signal.aborted) controller.abort(reason);
+      };
+      const onAbort = () => abort(options.signal.reason);
+      if (options.signal) {
+        if (options.signal.aborted) onAbort();
+        else options.signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      const timeoutMs = options.timeoutMs ?? (agent && agent.config.timeoutMs) ?? this.options.timeoutMs;
+      let timedOut = false;
+      const timer = timeoutMs > 0 && setTimeout(() => {
+        if (controller.signal.aborted) return;
+        const error = new Error(`Request timed out after ${timeoutMs}ms`);
+        error.name = 'TimeoutError';
+        error.code = 'TIMEOUT';
+        timedOut = true;
+        abort(error);
+      }, timeoutMs);
+
+      // Tracked per agent id (null for provider-level calls) for cancelAll()
+      const key = agent ? agent.id : null;
+      if (!this.inFlight.has(key)) this.inFlight.set(key, new Set());
+      this.inFlight.get(key).add(abort);
+
+      return {
+        signal: controller.signal,
+        abort,
+        status: () => (controller.signal.aborted ? (timedOut ? 'timeout' : 'cancelled') : null),
+        done: () => {
+          clearTimeout(timer);
+          if (options.signal) options.signal.removeEventListener('abort', onAbort);
+          const aborts = this.inFlight.get(key);
+          aborts.delete(abort);
+          if (!aborts.size) this.inFlight.delete(key);
+        }
+      };
+    }
+
+    // Throw CANCELLED or TIMEOUT for a call whose abort scope has fired
+    _throwAborted(scope, description) {
+      const reason = scope.signal.reason || new Error('Aborted');
+      if (scope.status() === 'timeout') {
+        this._handleError(reason, 'TIMEOUT', `${description} timed out: ${reason.message}`);
+      }
+      this._handleError(reason, 'CANCELLED', `${description} was cancelled`);
+    }
+
+    // Resolve the retry policy: instance defaults < agent config < call options
+    _getRetryPolicy(agent, options = {}) {
+      return {
+        ...this.options.retry,
+        ...(agent && agent.config.retry),
+        ...options.retry
+      };
+    }
+
+    // fetch() with retries on network errors and retryable status codes,
+    // exponential backoff with jitter, Retry-After support and client-side
+    // rate limiting. Non-retryable responses are returned as-is so adapters
+    // can report the provider's error.
+    async _request(provider, agent, url, init = {}, context = {}) {
+      const policy = this._getRetryPolicy(agent, context.options);
+      const maxAttempts = Math.max(1, policy.maxAttempts || 1);
+
+      for (let attempt = 1; ; attempt++) {
+        // Replayed responses never reach the provider, so skip its limits
+        if (!this.recorder || this.recorder.mode !== 'replay') {
+          await this._acquireRateLimit(provider, init.body, init.signal);
+        }
+
+        let response = null;
+        let error = null;
+        try {
+          response = await this._send(provider, url, init);
+        } catch (e) {
+          // Aborted requests and replay misses are never retried
+          if ((init.signal && init.signal.aborted) || e.code === 'FIXTURE_NOT_FOUND') throw e;
+          error = e;
+        }
+
+        const retryable = error ? true : (policy.retryOn || []).includes(response.status);
+        if (!retryable || attempt >= maxAttempts) {
+          if (error) throw error;
+          return response;
+        }
+
+        // Release the connection of the response we are discarding
+        if (response && response.body && typeof response.body.cancel === 'function') {
+          response.body.cancel().catch(() => {});
+        }
+
+        const delay = this._getRetryDelay(policy, attempt, response);
+        if (context.transaction) {
+          context.transaction.retries = (context.transaction.retries || 0) + 1;
+        }
+        this._emit('retry', {
+          provider,
+          agentId: agent ? agent.id : null,
+          attempt,
+          maxAttempts,
+          status: response ? response.status : null,
+          error: error ? error.message : null,
+          delay
+        });
+        this._log(`Retrying ${provider} request (attempt ${attempt + 1}/${maxAttempts}) in ${delay}ms`, 'warn');
+
+        await this._sleep(delay, init.signal);
+      }
+    }
+
+    // Resolve the `recording` option ({ mode, storage, storageOptions }).
+    // Fixtures go to the 'file' storage adapter in ./fixtures by default.
+    _createRecorder(recording) {
+      const mode = recording.mode || 'replay';
+      if (!['record', 'replay', 'auto'].includes(mode)) {
+        throw new Error(`Unknown recording mode: ${mode}`);
+      }
+      const storage = this._createStorage(recording.storage || 'file', { directory: 'fixtures', ...recording.storageOptions });
+      return { mode, storage, occurrences: new Map() };
+    }
+
+    // Send a provider request. With recording enabled, 'replay' answers from
+    // fixtures, 'record' saves every exchange and 'auto' replays when a
+    // fixture exists and records otherwise. The n-th identical request maps
+    // to the n-th recorded response, so replays are deterministic.
+    async _send(provider, url, init = {}) {
+      if (!this.recorder) {
+        return this._fetch(provider, url, init);
+      }
+
+      const { mode, storage, occurrences } = this.recorder;
+      const request = {
+        provider,
+        method: init.method || 'GET',
+        url: this._redactUrl(url),
+        body: this._describeBody(init.body)
+      };
+      const hash = this._hash(JSON.stringify(request));
+      const occurrence = occurrences.get(hash) || 0;
+      occurrences.set(hash, occurrence + 1);
+      const key = `fixture:${provider}-${hash}-${occurrence}`;
+
+      if (mode !== 'record') {
+        const fixture = await storage.get(key);
+        if (fixture) {
+          const { status, statusText, headers, body } = fixture.response;
+          return new Response(status === 204 ? null : body, { status, statusText, headers });
+        }
+        if (mode === 'replay') {
+          const error = new Error(`No recorded response for ${provider} ${request.method} ${request.url} (${key})`);
+          error.code = 'FIXTURE_NOT_FOUND';
+          throw error;
+        }
+      }
+
+      const response = await this._fetch(provider, url, init);
+      // Read a copy of the body in the background so streams reach the
+      // caller as they arrive
+      const copy = response.clone();
+      this._queueStorage(`Failed to record ${key}`, async () => {
+        const headers = {};
+        response.headers.forEach((value, name) => {
+          if (!['content-encoding', 'content-length', 'set-cookie'].includes(name)) headers[name] = value;
+        });
+        await storage.set(key, {
+          request,
+          response: { status: response.status, statusText: response.statusText, headers, body: await copy.text() },
+          recordedAt: new Date().toISOString()
+        });
+      });
+      return response;
+    }
+
+    // fetch(), routed by the key provider when it proxies provider calls
+    async _fetch(provider, url, init) {
+      if (this.keyProvider && typeof this.keyProvider.prepareRequest === 'function') {
+        ({ url, init } = await this.keyProvider.prepareRequest(provider, url, init));
+      }
+      return fetch(url, init);
+    }
+
+    // Keep API keys passed as query parameters out of fixtures
+    _redactUrl(url) {
+      return String(url).replace(/([?&](?:key|api_key)=)[^&]+/gi, '$1REDACTED');
+    }
+
+    // A stable description of a request body for fixture keys
+    _describeBody(body) {
+      if (body === undefined || body === null) return null;
+      if (typeof body === 'string') {
+        try {
+          return JSON.parse(body);
+        } catch (error) {
+          return body;
+        }
+      }
+      if (typeof body.entries === 'function') {
+        return Array.from(body.entries()).map(([name, value]) =>
+          [name, typeof value === 'string' ? value : `${value.type || 'binary'}:${value.size}`]);
+      }
+      return String(body);
+    }
+
+    // Short non-cryptographic hash (cyrb53) used to name fixtures
+    _hash(text) {
+      let h1 = 0xdeadbeef;
+      let h2 = 0x41c6ce57;
+      for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+      }
+      h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+      h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+      return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+    }
+
+    // Backoff delay for a retry: Retry-After when the provider sends it,
+    // otherwise exponential backoff capped at maxDelayMs, with jitter
+    _getRetryDelay(policy, attempt, response) {
+      const headers = response && response.headers;
+      if (headers && typeof headers.get === 'function') {
+        const retryAfterMs = parseFloat(headers.get('retry-after-ms'));
+        if (!isNaN(retryAfterMs)) return Math.round(retryAfterMs);
+
+        const retryAfter = headers.get('retry-after');
+        if (retryAfter) {
+          const seconds = parseFloat(retryAfter);
+          if (!isNaN(seconds)) return Math.round(seconds * 1000);
+          const date = Date.parse(retryAfter);
+          if (!isNaN(date)) return Math.max(0, date - Date.now());
+        }
+      }
+
+      const delay = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+      return Math.round(policy.jitter ? delay / 2 + Math.random() * delay / 2 : delay);
+    }
+
+    // Wait until the provider's client-side limits allow another request.
+    // Limits are per minute: { requestsPerMinute, tokensPerMinute }, where
+    // tokens are estimated from the request body (~4 characters per token).
+    async _acquireRateLimit(provider, body, signal) {
+      const limits = (this.options.rateLimits || {})[provider];
+      if (!limits) return;
+
+      const tokens = Math.ceil((typeof body === 'string' ? body.length : 0) / 4);
+      const window = this.rateLimitWindows[provider] || (this.rateLimitWindows[provider] = []);
+
+      while (true) {
+        const now = Date.now();
+        while (window.length && now - window[0].time >= 60000) {
+          window.shift();
+        }
+
+        const usedTokens = window.reduce((sum, entry) => sum + entry.tokens, 0);
+        const requestsOk = !limits.requestsPerMinute || window.length < limits.requestsPerMinute;
+        // A single request larger than the whole budget still goes through once the window is empty
+        const tokensOk = !limits.tokensPerMinute || window.length === 0 || usedTokens + tokens <= limits.tokensPerMinute;
+        if (requestsOk && tokensOk) {
+          window.push({ time: now, tokens });
+          return;
+        }
+
+        const wait = 60000 - (now - window[0].time);
+        this._emit('rate-limited', { provider, wait });
+        this._log(`Client-side rate limit reached for ${provider}, waiting ${wait}ms`, 'warn');
+        await this._sleep(wait, signal);
+      }
+    }
+
+    // Promise-based delay that rejects early if the signal is aborted
+    _sleep(ms, signal) {
+      return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+          reject(signal.reason || new Error('Aborted'));
+          return;
+        }
+        const timer = setTimeout(() => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          resolve();
+        }, ms);
+        const onAbort = () => {
+          clearTimeout(timer);
+          reject(signal.reason || new Error('Aborted'));
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      });
+    }
+
+    // Parse a server-sent events response body into { event, data } records
+    async *_parseSSE(response) {
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      const parseEvent = (chunk) => {
+        let event = 'message';
+        const data = [];
+        chunk.split(/\r?\n/).forEach(line => {
+          if (!line || line.startsWith(':')) return;
+          const index = line.indexOf(':');
+          const field = index === -1 ? line : line.slice(0, index);
+          const value = index === -1 ? '' : line.slice(index + 1).replace(/^ /, '');
+          if (field === 'event') event = value;
+          if (field === 'data') data.push(value);
+        });
+        return data.length ? { event, data: data.join('\n') } : null;
+      };
+
+      try {
+        while (true) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          buffer += decoder.decode(value, { stream: true });
+
+          let match;
+          while ((match = /\r?\n\r?\n/.exec(buffer))) {
+            const event = parseEvent(buffer.slice(0, match.index));
+            buffer = buffer.slice(match.index + match[0].length);
+            if (event) yield event;
+          }
+        }
+
+        const event = parseEvent(buffer);
+        if (event) yield event;
+      } finally {
+        reader.releaseLock();
+      }
+    }
+
+    // Upgrade an agent definition to the current schemaVersion and validate
+    // it. Returns { valid, errors: [{ path, message }], definition }.
+    validateAgent(config) {
+      if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return { valid: false, errors: [{ path: '$', message: 'must be of type object' }], definition: config };
+      }
+      const from = config.schemaVersion || 0;
+      if (from > AGENT_SCHEMA_VERSION) {
+        return {
+          valid: false,
+          errors: [{ path: '$.schemaVersion', message: `must be <= ${AGENT_SCHEMA_VERSION} (this version of Worksona is too old for the agent)` }],
+          definition: config
+        };
+      }
+
+      let definition = config;
+      for (let version = from; version < AGENT_SCHEMA_VERSION; version++) {
+        definition = AGENT_MIGRATIONS[version](definition);
+      }
+      definition = { ...definition, schemaVersion: AGENT_SCHEMA_VERSION };
+
+      const errors = this._validateSchema(definition, AGENT_SCHEMA);
+      return { valid: !errors.length, errors, definition, migratedFrom: from < AGENT_SCHEMA_VERSION ? from : null };
+    }
+
+    // Load an agent from configuration
+    async loadAgent(config) {
+      let definition = config;
+      if (this.options.validateAgents) {
+        const result = this.validateAgent(config);
+        if (!result.valid) {
+          const error = new Error(result.errors.map(e => `${e.path} ${e.message}`).join('; '));
+          error.details = result.errors;
+          this._handleError(error, 'CONFIG_ERROR');
+          return null;
+        }
+        definition = result.definition;
+        if (result.migratedFrom !== null) {
+          this._emit('agent-migrated', { agentId: definition.id, from: result.migratedFrom, to: AGENT_SCHEMA_VERSION });
+        }
+      } else if (!config.id || !config.name) {
+        this._handleError(new Error('Invalid agent configuration'), 'CONFIG_ERROR');
+        return null;
+      }
+
+      try {
+        await this.ready;
+
+        // Create new agent instance - Agent constructor now handles nested config
+        const agent = new Agent(definition, { maxTransactions: this.options.maxTransactions });
+
+        // Reloading a persisted agent keeps its history, threads and metrics
+        const previous = this.storage && this.agents.get(agent.id);
+        if (previous) {
+          agent.restore(previous.toJSON());
+        }
+        
+        // Store agent
+        this.agents.set(agent.id, agent);
+        this._persistAgent(agent);
+        
+        // Emit event
+        this._emit('agent-loaded', { 
+          agentId: agent.id,
+          name: agent.name,
+          description: agent.description,
+          provider: agent.state.currentProvider,
+          model: agent.state.currentModel
+        });
+        
+        // Update the control panel to show the new agent
+        this.updateControlPanel();
+        
+        this._log(`Agent loaded: ${agent.name} (${agent.id})`);
+        return agent;
+      } catch (error) {
+        this._handleError(error, 'AGENT_LOAD_ERROR', `Failed to load agent: ${definition.id}`);
+        return null;
+      }
+    }
+
+    // Load an agent definition from a URL (or a file path in Node.js).
+    // Objects of the form { "$ref": "path" } are replaced by the referenced
+    // file, resolved relative to the file that contains them.
+    async loadAgentFromUrl(url) {
+      let definition;
+      try {
+        definition = await this._readAgentDefinition(url);
+      } catch (error) {
+        this._handleError(error, 'AGENT_LOAD_ERROR', `Failed to load agent from ${url}`);
+        return null;
+      }
+      return this.loadAgent(definition);
+    }
+
+    // Load every agent file (*.json) in a directory. Node.js only.
+    // Returns { loaded: [Agent], failed: [{ source, error }] }.
+    async loadAgentsFromDirectory(directory) {
+      let files;
+      try {
+        const fs = require('fs').promises;
+        const path = require('path');
+        files = (await fs.readdir(directory))
+          .filter(name => name.endsWith('.json') && !name.endsWith('.schema.json'))
+          .sort()
+          .map(name => path.join(directory, name));
+      } catch (error) {
+        this._handleError(error, 'AGENT_LOAD_ERROR', `Failed to read agent directory ${directory}`);
+        return null;
+      }
+
+      return this._loadAgentSources(files.map(file => ({
+        source: file,
+        load: async () => {
+          const definition = await this._readAgentDefinition(file);
+          // Skip bundle manifests that live next to the agent files
+          return Array.isArray(definition.agents) ? undefined : definition;
+        }
+      })));
+    }
+
+    // Load the agents listed in a bundle manifest (an object or its URL):
+    // { defaults: { config }, agents: ["agent.json", { ...definition }] }.
+    // `defaults` are merged under every agent. Returns { loaded, failed }.
+    async loadAgentBundle(bundle, options = {}) {
+      let manifest = bundle;
+      let base = options.baseUrl || null;
+      try {
+        if (typeof bundle === 'string') {
+          base = bundle;
+          manifest = this._parseJson(await this._readResource(bundle), bundle);
+        }
+        if (!manifest || !Array.isArray(manifest.agents)) {
+          throw new Error('Agent bundle must have an "agents" array');
+        }
+      } catch (error) {
+        this._handleError(error, 'AGENT_LOAD_ERROR', 'Failed to load agent bundle');
+        return null;
+      }
+
+      const withDefaults = async definition => {
+        if (!manifest.defaults) return definition;
+        const defaults = await this._resolveRefs(manifest.defaults, base);
+        return {
+          ...defaults,
+          ...definition,
+          config: { ...defaults.config, ...definition.config }
+        };
+      };
+
+      return this._loadAgentSources(manifest.agents.map((entry, index) => ({
+        source: typeof entry === 'string' ? entry : entry.id || `agents[${index}]`,
+        load: async () => withDefaults(typeof entry === 'string'
+          ? await this._readAgentDefinition(this._resolveLocation(base, entry))
+          : await this._resolveRefs(entry, base))
+      })));
+    }
+
+    // Load agents one at a time so that a failing definition is reported
+    // in `failed` without stopping the others
+    async _loadAgentSources(sources) {
+      const results = { loaded: [], failed: [] };
+      for (const { source, load } of sources) {
+        let definition;
+        try {
+          definition = await load();
+        } catch (error) {
+          // Reading failed, so loadAgent never saw the definition
+          try {
+            this._handleError(error, 'AGENT_LOAD_ERROR', `Failed to load agent from ${source}`);
+          } catch (reported) {
+            results.failed.push({ source, error: reported });
+          }
+          continue;
+        }
+        if (definition === undefined) continue;
+
+        try {
+          const agent = await this.loadAgent(definition);
+          if (agent) results.loaded.push(agent);
+        } catch (error) {
+          results.failed.push({ source, error });
+        }
+      }
+      this._emit('agents-loaded', {
+        loaded: results.loaded.map(agent => agent.id),
+        failed: results.failed.map(({ source, error }) => ({ source, message: error.message }))
+      });
+      return results;
+    }
+
+    // Read and parse an agent definition file, resolving its $refs
+    async _readAgentDefinition(location) {
+      const definition = this._parseJson(await this._readResource(location), location);
+      return this._resolveRefs(definition, location, [location]);
+    }
+
+    // Replace { "$ref": "path" } objects with the referenced content: parsed
+    // JSON for .json files, text otherwise. Local refs ("#/...") inside JSON
+    // schemas are left alone.
+    async _resolveRefs(value, base, seen = []) {
+      if (Array.isArray(value)) {
+        return Promise.all(value.map(item => this._resolveRefs(item, base, seen)));
+      }
+      if (!value || typeof value !== 'object') {
+        return value;
+      }
+
+      const keys = Object.keys(value);
+      if (keys.length === 1 && typeof value.$ref === 'string' && !value.$ref.startsWith('#')) {
+        const location = this._resolveLocation(base, value.$ref);
+        if (seen.includes(location)) {
+          throw new Error(`Circular $ref: ${[...seen, location].join(' -> ')}`);
+        }
+        const text = await this._readResource(location);
+        if (!/\.json$/i.test(location.split(/[?#]/)[0])) {
+          return text;
+        }
+        return this._resolveRefs(this._parseJson(text, location), location, [...seen, location]);
+      }
+
+      const resolved = {};
+      for (const key of keys) {
+        resolved[key] = await this._resolveRefs(value[key], base, seen);
+      }
+      return resolved;
+    }
+
+    // Resolve a reference relative to the file or URL it appears in
+    _resolveLocation(base, reference) {
+      if (!base || this._isUrl(reference)) {
+        return reference;
+      }
+      if (this._isUrl(base)) {
+        return new URL(reference, base).href;
+      }
+      if (!isNode()) {
+        return new URL(reference, new URL(base, global.location.href)).href;
+      }
+      const path = require('path');
+      return path.resolve(path.dirname(base), reference);
+    }
+
+    // Read a text resource: fetched in browsers and for URLs, read from
+    // disk for plain paths in Node.js
+    async _readResource(location) {
+      if (!isNode() || this._isUrl(location)) {
+        const response = await fetch(location);
+        if (!response.ok) {
+          throw new Error(`Failed to fetch ${location}: ${response.status} ${response.statusText || ''}`.trim());
+        }
+        return response.text();
+      }
+      return require('fs').promises.readFile(location, 'utf8');
+    }
+
+    _isUrl(location) {
+      return /^[a-z][a-z0-9+.-]*:\/\//i.test(location);
+    }
+
+    _parseJson(text, location) {
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        throw new Error(`Invalid JSON in ${location}: ${error.message}`);
+      }
+    }
+
+    // Send message to agent and get response
+    async chat(agentId, message, options = {}) {
+      const agent = this.agents.get(agentId);
+      if (!agent) {
+        this._handleError(new Error(`Agent not found: ${agentId}`), 'AGENT_NOT_FOUND');
+        return null;
+      }
+
+      this._checkBudget(agent);
+
+      // Render the system prompt and examples for this call's variables
+      let prompted;
+      try {
+        prompted = this._prepareAgentPrompts(agent, options);
+      } catch (error) {
+        this._handleError(error, 'TEMPLATE_ERROR');
+        return null;
+      }
+
+      // The agent's configured provider comes first, followed by its fallbacks
+      const chain = this._getProviderChain(agent, options);
+      
+      if (!chain.length) {
+        const provider = agent.config.provider || options.provider || this.options.defaultProvider;
+        this._handleError(new Error(`Provider not available: ${provider}`), 'PROVIDER_ERROR');
+        return null;
       }
       
       // Update agent state with current provider and model
-      agent.state.currentProvider = provider;
-      agent.state.currentModel = agent.config.model || this.options.defaultModel;
+      agent.state.currentProvider = chain[0].provider;
+      agent.state.currentModel = chain[0].model;
+
+      // Resolve the conversation thread: an explicit threadId (or sessionId)
+      // wins, otherwise fall back to the thread resumed on the agent, if any
+      const threadId = options.threadId || options.sessionId || agent.state.currentThread;
+      const history = threadId ? this._getThreadHistory(agent, threadId, options) : [];
+
+      // With an output schema the reply is parsed and validated JSON
+      const outputSchema = options.outputSchema || agent.config.outputSchema || null;
+
+      // Create transaction record
+      const transaction = {
+        timestamp: new Date(),
+        query: message,
+        response: null,
+        duration: 0,
+        error: null,
+        provider: chain[0].provider,
+        model: chain[0].model,
+        threadId: threadId || null
+      };
+
+      this._emit('chat-start', { agentId, message, threadId });
+      this._log(`Chat request to ${agentId}: ${message}`);
+
+      const scope = this._createAbortScope(agent, options);
+      const startTime = Date.now();
+      try {
+        let response;
+        for (let i = 0; i < chain.length; i++) {
+          const { provider } = chain[i];
+          const target = this._useProviderTarget(prompted, chain[i], transaction);
+          try {
+            const context = this._createContext(provider, target, { history, options, transaction, outputSchema, signal: scope.signal });
+            response = await this._runProviderChat(target, provider, message, context, transaction);
+            if (outputSchema) {
+              const structured = await this._enforceOutputSchema(target, provider, message, context, transaction, response);
+              response = structured.text;
+              transaction.output = structured.value;
+            }
+            break;
+          } catch (error) {
+            // Cancelled and timed-out calls do not move on to a fallback
+            if (scope.signal.aborted || !this._shouldFailover(agent, error, chain, i, transaction)) throw error;
+          }
+        }
+        transaction.duration = Date.now() - startTime;
+        transaction.response = response;
+
+        if (threadId) {
+          agent.appendToThread(threadId,
+            { role: 'user', content: message },
+            { role: 'assistant', content: response }
+          );
+        }
+        
+        // Add transaction to agent history and update the control panel
+        this._recordTransaction(agent, transaction);
+        
+        // Structured requests return the parsed object instead of the text
+        const result = outputSchema ? transaction.output : response;
+        
+        this._emit('chat-complete', { 
+          agentId, 
+          message, 
+          response: result,
+          threadId,
+          provider: transaction.provider,
+          model: transaction.model,
+          duration: transaction.duration
+        });
+        
+        this._log(`Chat response from ${agentId}: ${response}`);
+        return result;
+      } catch (error) {
+        transaction.duration = Date.now() - startTime;
+        const aborted = scope.status();
+        if (aborted === 'cancelled') {
+          transaction.cancelled = true;
+        } else {
+          transaction.status = aborted || 'error';
+          transaction.error = aborted ? scope.signal.reason : error;
+        }
+        
+        // Add failed transaction to history
+        this._recordTransaction(agent, transaction);
+        
+        if (aborted) {
+          if (aborted === 'cancelled') this._emit('chat-cancelled', { agentId, message, response: null, threadId });
+          this._throwAborted(scope, `Chat with ${agentId}`);
+        }
+        if (error.code === 'SCHEMA_VALIDATION_ERROR') {
+          this._handleError(error, 'SCHEMA_VALIDATION_ERROR');
+        }
+        this._handleError(error, 'CHAT_ERROR', `Chat failed with ${agentId}`);
+        return null;
+      } finally {
+        scope.done();
+      }
+    }
+
+    // Create a multi-agent workflow; see the Workflow class for step types
+    createWorkflow(definition) {
+      try {
+        return new Workflow(this, definition);
+      } catch (error) {
+        this._handleError(error, 'WORKFLOW_ERROR');
+        return null;
+      }
+    }
+
+    // Register a named template that prompts can include with {{> name}}
+    registerPartial(name, template) {
+      this.partials.set(name, template);
+    }
+
+    unregisterPartial(name) {
+      return this.partials.delete(name);
+    }
+
+    // Build the system prompt and examples for a call: merge in the persona
+    // compiled from the agent's traits, then render templates with the
+    // call's variables (options.variables over agent.config.variables).
+    // Returns the agent itself when nothing changes, otherwise a view of it
+    // with the final config. Missing variables throw TEMPLATE_ERROR.
+    _prepareAgentPrompts(agent, options = {}) {
+      const isTemplate = text => typeof text === 'string' && text.includes('{{');
+      const examples = agent.config.examples || [];
+      const basePrompt = this._mergePersona(agent, options);
+      if (!isTemplate(basePrompt) && !examples.some(ex => isTemplate(ex.user) || isTemplate(ex.assistant))) {
+        return basePrompt === agent.config.systemPrompt ? agent : this._withPrompts(agent, basePrompt, examples);
+      }
+
+      const scope = {
+        variables: { ...agent.config.variables, ...options.variables },
+        partials: { ...Object.fromEntries(this.partials), ...agent.config.partials, ...options.partials },
+        missing: []
+      };
+      const render = (text, location) => (isTemplate(text) ? this._renderTemplate(text, scope, location) : text);
+
+      const systemPrompt = render(basePrompt, 'systemPrompt');
+      const renderedExamples = examples.map((ex, i) => ({
+        ...ex,
+        user: render(ex.user, `examples[${i}].user`),
+        assistant: render(ex.assistant, `examples[${i}].assistant`)
+      }));
+
+      if (scope.missing.length) {
+        const names = [...new Set(scope.missing.map(m => m.name))];
+        const error = new Error(`Missing template variable${names.length > 1 ? 's' : ''} ${names.join(', ')} in ${[...new Set(scope.missing.map(m => m.location))].join(', ')}`);
+        error.code = 'TEMPLATE_ERROR';
+        error.details = scope.missing;
+        throw error;
+      }
+
+      return this._withPrompts(agent, systemPrompt, renderedExamples);
+    }
+
+    _withPrompts(agent, systemPrompt, examples) {
+      const view = Object.create(agent);
+      view.config = { ...agent.config, systemPrompt, examples };
+      view.systemPrompt = systemPrompt;
+      view.examples = examples;
+      return view;
+    }
+
+    // Turn an agent's traits into prompt instructions. Known traits get
+    // dedicated sentences; any other trait is listed as "Name: value".
+    compilePersona(agent) {
+      const traits = agent.traits || {};
+      const list = value => (Array.isArray(value) ? value.join(', ') : value);
+      const lines = [];
+
+      if (agent.name) {
+        // Lower-case the description's first letter unless it starts an acronym
+        const description = agent.description && agent.description.replace(/^[A-Z](?=[a-z])/, c => c.toLowerCase()).replace(/\.$/, '');
+        lines.push(`You are ${agent.name}${description ? `, ${description}` : ''}.`);
+      }
+      Object.entries(traits).forEach(([trait, value]) => {
+        if (value === undefined || value === null || (Array.isArray(value) && !value.length) || value === '') return;
+        switch (trait) {
+          case 'personality':
+            lines.push(`Your personality is ${list(value)}.`);
+            break;
+          case 'knowledge':
+            lines.push(`You are knowledgeable in ${list(value)}.`);
+            break;
+          case 'tone':
+            lines.push(`Keep your tone ${value}.`);
+            break;
+          case 'background':
+            lines.push(`Background: ${value}`);
+            break;
+          default:
+            lines.push(`${trait.charAt(0).toUpperCase()}${trait.slice(1)}: ${list(value)}`);
+        }
+      });
+      return lines.join('\n');
+    }
+
+    // Combine the compiled persona with the agent's systemPrompt according
+    // to personaMode: 'off' ignores traits, 'prepend'/'append' place the
+    // persona before/after the prompt, 'fallback' uses it only when there is
+    // no prompt and 'replace' uses the persona alone
+    _mergePersona(agent, options = {}) {
+      const mode = options.personaMode || agent.config.personaMode || this.options.personaMode;
+      const prompt = agent.config.systemPrompt;
+      if (!mode || mode === 'off') {
+        return prompt;
+      }
+      const persona = this.compilePersona(agent);
+      if (!persona) {
+        return prompt;
+      }
+      switch (mode) {
+        case 'prepend':
+          return prompt ? `${persona}\n\n${prompt}` : persona;
+        case 'append':
+          return prompt ? `${prompt}\n\n${persona}` : persona;
+        case 'fallback':
+          return prompt || persona;
+        case 'replace':
+          return persona;
+        default:
+          throw new Error(`Unknown personaMode: ${mode}`);
+      }
+    }
+
+    // Get the system prompt an agent sends to the model, with the persona
+    // merged in but templates left unrendered
+    getCompiledPrompt(agentId, options = {}) {
+      const agent = this.agents.get(agentId);
+      return agent ? this._mergePersona(agent, options) || '' : null;
+    }
+
+    // Render a template: {{name}} and {{user.name}} insert variables,
+    // {{#if name}}...{{else}}...{{/if}} (and #unless) branch on them and
+    // {{> partial}} includes a partial. Missing variables are collected in
+    // scope.missing; syntax errors throw.
+    _renderTemplate(template, scope, location, depth = 0) {
+      const fail = message => {
+        const error = new Error(`${message} in ${location}`);
+        error.code = 'TEMPLATE_ERROR';
+        return error;
+      };
+      const lookup = name => name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), scope.variables);
+
+      // Parse into a tree of text, variable, conditional and partial nodes
+      const root = { children: [] };
+      const stack = [root];
+      const current = () => {
+        const node = stack[stack.length - 1];
+        return node.inElse ? node.otherwise : node.children;
+      };
+      template.split(/(\{\{[\s\S]*?\}\})/).forEach(token => {
+        const tag = /^\{\{\s*([\s\S]*?)\s*\}\}$/.exec(token);
+        if (!tag) {
+          if (token) current().push({ type: 'text', value: token });
+          return;
+        }
+        const body = tag[1];
+        let match;
+        if ((match = /^#(if|unless)\s+([\w.]+)$/.exec(body))) {
+          const node = { type: 'if', block: match[1], name: match[2], children: [], otherwise: [] };
+          current().push(node);
+          stack.push(node);
+        } else if (body === 'else') {
+          if (stack.length === 1 || stack[stack.length - 1].inElse) throw fail('Unexpected {{else}}');
+          stack[stack.length - 1].inElse = true;
+        } else if ((match = /^\/(if|unless)$/.exec(body))) {
+          if (stack.length === 1 || stack[stack.length - 1].block !== match[1]) throw fail(`Unexpected {{/${match[1]}}}`);
+          stack.pop();
+        } else if ((match = /^>\s*([\w.-]+)$/.exec(body))) {
+          current().push({ type: 'partial', name: match[1] });
+        } else if (/^[\w.]+$/.test(body)) {
+          current().push({ type: 'variable', name: body });
+        } else {
+          throw fail(`Invalid template tag {{${body}}}`);
+        }
+      });
+      if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw fail(`Unclosed {{#${open.block} ${open.name}}}`);
+      }
+
+      const renderNodes = nodes => nodes.map(node => {
+        if (node.type === 'text') return node.value;
+        if (node.type === 'variable') {
+          const value = lookup(node.name);
+          if (value === undefined || value === null) {
+            scope.missing.push({ name: node.name, location });
+            return '';
+          }
+          if (Array.isArray(value)) return value.join(', ');
+          return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+        if (node.type === 'if') {
+          const value = lookup(node.name);
+          const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+          return renderNodes(truthy !== (node.block === 'unless') ? node.children : node.otherwise);
+        }
+        // Partials render with the same variables
+        const partial = scope.partials[node.name];
+        if (typeof partial !== 'string') throw fail(`Unknown partial "${node.name}"`);
+        if (depth >= 10) throw fail(`Partials nested too deeply at "${node.name}"`);
+        return this._renderTemplate(partial, scope, `${location} > ${node.name}`, depth + 1);
+      }).join('');
+
+      return renderNodes(root.children);
+    }
+
+    // Build the ordered list of { provider, model } targets for a request:
+    // the agent's provider, then its fallbacks ('provider/model' strings or
+    // { provider, model } objects). Unavailable providers are skipped.
+    _getProviderChain(agent, options = {}) {
+      const primary = {
+        provider: agent.config.provider || options.provider || this.options.defaultProvider,
+        model: agent.config.model || this.options.defaultModel,
+        primary: true
+      };
+
+      const fallbacks = (options.fallbacks || agent.config.fallbacks || []).map(entry => {
+        if (typeof entry === 'string') {
+          const index = entry.indexOf('/');
+          return index === -1
+            ? { provider: entry }
+            : { provider: entry.slice(0, index), model: entry.slice(index + 1) };
+        }
+        return { provider: entry.provider, model: entry.model };
+      });
+
+      return [primary, ...fallbacks]
+        .filter(target => this.providers[target.provider])
+        .map(target => ({
+          ...target,
+          model: target.model || this.providers[target.provider].defaultModels?.chat
+        }));
+    }
+
+    // Point the agent state and transaction at a target and return the agent
+    // as the adapter should see it. Fallback targets get a view of the agent
+    // whose config names the fallback provider and model.
+    _useProviderTarget(agent, target, transaction) {
+      agent.state.currentProvider = target.provider;
+      agent.state.currentModel = target.model;
+      transaction.provider = target.provider;
+      transaction.model = target.model;
+
+      if (target.primary) return agent;
+      const view = Object.create(agent);
+      view.config = { ...agent.config, provider: target.provider, model: target.model };
+      return view;
+    }
+
+    // Decide whether a failed request should move on to the next target in
+    // the chain, recording the failure and emitting provider-fallback if so
+    _shouldFailover(agent, error, chain, index, transaction) {
+      if (index >= chain.length - 1 || !this._isFailoverError(error)) return false;
+
+      const from = chain[index];
+      const to = chain[index + 1];
+      transaction.fallbacks = transaction.fallbacks || [];
+      transaction.fallbacks.push({
+        provider: from.provider,
+        model: from.model,
+        error: (error.originalError && error.originalError.message) || error.message
+      });
+
+      this._emit('provider-fallback', {
+        agentId: agent.id,
+        from: { provider: from.provider, model: from.model },
+        to: { provider: to.provider, model: to.model },
+        error
+      });
+      this._log(`Falling back from ${from.provider} to ${to.provider}: ${error.message}`, 'warn');
+      return true;
+    }
+
+    // Outages (network errors, 5xx), quota/rate limits and timeouts fail
+    // over; caller aborts and request errors (bad input, auth) do not
+    _isFailoverError(error) {
+      // Provider errors arrive wrapped by _handleError, so walk the chain
+      let current = error;
+      while (current) {
+        if (current.name === 'AbortError') return false;
+        if (current.name === 'TimeoutError' || current.code === 'TIMEOUT') return true;
+        if (current.status === 408 || current.status === 429 || current.status >= 500) return true;
+        if (['insufficient_quota', 'rate_limit_exceeded', 'overloaded_error', 'RESOURCE_EXHAUSTED', 'UNAVAILABLE'].includes(current.providerCode)) {
+          return true;
+        }
+        if (current instanceof TypeError && /fetch|network/i.test(current.message)) return true;
+        current = current.originalError;
+      }
+      return false;
+    }
+
+    // Call a provider's chat() and run the tool call -> execute -> respond
+    // loop until the model answers without requesting tools
+    async _runProviderChat(agent, provider, message, context, transaction) {
+      const options = context.options || {};
+      const tools = this._resolveAgentTools(agent, options);
+      const maxIterations = options.maxToolIterations || agent.config.maxToolIterations || this.options.maxToolIterations;
+      const toolTurns = [...(context.toolTurns || [])];
+
+      for (let iteration = 0; ; iteration++) {
+        const result = this._normalizeProviderResult(
+          await this.providers[provider].chat(agent, message, { ...context, tools, toolTurns })
+        );
+        this._addUsage(transaction, result.usage);
+        if (!result.toolCalls.length) {
+          return result.content;
+        }
+        if (iteration >= maxIterations) {
+          const error = new Error(`Tool call limit of ${maxIterations} iterations reached`);
+          error.code = 'TOOL_LIMIT_EXCEEDED';
+          throw error;
+        }
+
+        toolTurns.push({ role: 'assistant', content: result.content, toolCalls: result.toolCalls });
+        for (const call of result.toolCalls) {
+          toolTurns.push(await this._executeToolCall(agent, call, tools, transaction, context.signal));
+        }
+      }
+    }
+
+    // Adapters may return plain text or { content, toolCalls }
+    _normalizeProviderResult(result) {
+      if (result && typeof result === 'object') {
+        return { ...result, content: result.content ?? '', toolCalls: result.toolCalls || [] };
+      }
+      return { content: result, toolCalls: [] };
+    }
+
+    // Parse and validate a structured reply against context.outputSchema,
+    // re-prompting the model with the validation errors until it complies
+    // or maxRepairAttempts (default 1) is used up. Returns { text, value }.
+    async _enforceOutputSchema(agent, provider, message, context, transaction, content) {
+      const schema = context.outputSchema;
+      const maxRepairs = context.options.maxRepairAttempts ?? agent.config.maxRepairAttempts ?? 1;
+      let text = content;
+
+      for (let attempt = 0; ; attempt++) {
+        const { value, errors } = this._parseStructuredOutput(text, schema);
+        if (!errors.length) {
+          return { text, value };
+        }
+        if (attempt >= maxRepairs) throw this._schemaValidationError(errors);
+
+        transaction.repairs = (transaction.repairs || 0) + 1;
+        this._emit('output-repair', { agentId: agent.id, attempt: attempt + 1, errors });
+        this._log(`Structured output failed validation, asking ${provider} to repair it`, 'warn');
+
+        text = await this._runProviderChat(agent, provider, message, {
+          ...context,
+          toolTurns: [
+            { role: 'assistant', content: text },
+            {
+              role: 'user',
+              content: `Your previous response did not match the required JSON schema:\n${errors.map(e => `- ${e.path} ${e.message}`).join('\n')}\nRespond again with only the corrected JSON.`
+            }
+          ]
+        }, transaction);
+      }
+    }
+
+    _schemaValidationError(errors) {
+      const error = new Error(errors.map(e => `${e.path} ${e.message}`).join('; '));
+      error.code = 'SCHEMA_VALIDATION_ERROR';
+      error.details = errors;
+      return error;
+    }
+
+    // Parse a JSON reply (tolerating a markdown code fence) and validate it
+    _parseStructuredOutput(text, schema) {
+      const source = String(text ?? '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+      let value;
+      try {
+        value = JSON.parse(source);
+      } catch (e) {
+        return { value: null, errors: [{ path: '$', message: `is not valid JSON (${e.message})` }] };
+      }
+      return { value, errors: this._validateSchema(value, schema) };
+    }
+
+    // Validate a value against a JSON Schema. Supports the commonly used
+    // subset: type, enum, const, properties, required, additionalProperties,
+    // items, string/number/array bounds, pattern, allOf, anyOf and oneOf.
+    // Returns a list of { path, message } errors, empty when valid.
+    _validateSchema(value, schema, path = '$') {
+      if (schema === undefined || schema === true) return [];
+      if (schema === false) return [{ path, message: 'is not allowed' }];
+
+      const errors = [];
+      const typeOf = v => (v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v);
+      const actual = typeOf(value);
+      const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+      if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const matches = types.some(type => type === actual || (type === 'integer' && Number.isInteger(value)));
+        if (!matches) {
+          return [{ path, message: `must be of type ${types.join(' or ')}, got ${actual}` }];
+        }
+      }
+
+      if (schema.enum && !schema.enum.some(option => same(option, value))) {
+        errors.push({ path, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+      }
+      if ('const' in schema && !same(schema.const, value)) {
+        errors.push({ path, message: `must equal ${JSON.stringify(schema.const)}` });
+      }
+
+      if (actual === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+          errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+          errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+          errors.push({ path, message: `must match pattern ${schema.pattern}` });
+        }
+      }
+
+      if (actual === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+          errors.push({ path, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+          errors.push({ path, message: `must be <= ${schema.maximum}` });
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+          errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+          errors.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+        }
+      }
+
+      if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+          errors.push({ path, message: `must have at least ${schema.minItems} items` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+          errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+        }
+        if (schema.items && typeof schema.items === 'object') {
+          value.forEach((item, index) => {
+            errors.push(...this._validateSchema(item, schema.items, `${path}[${index}]`));
+          });
+        }
+      }
+
+      if (actual === 'object') {
+        const properties = schema.properties || {};
+        if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+          errors.push({ path, message: `must have at least ${schema.minProperties} properties` });
+        }
+        (schema.required || []).forEach(key => {
+          if (!(key in value)) errors.push({ path: `${path}.${key}`, message: 'is required' });
+        });
+        Object.keys(value).forEach(key => {
+          if (properties[key] !== undefined) {
+            errors.push(...this._validateSchema(value[key], properties[key], `${path}.${key}`));
+          } else if (schema.additionalProperties === false) {
+            const suggestion = this._closestMatch(key, Object.keys(properties));
+            errors.push({
+              path: `${path}.${key}`,
+              message: suggestion ? `is not an allowed property (did you mean "${suggestion}"?)` : 'is not an allowed property'
+            });
+          } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+            errors.push(...this._validateSchema(value[key], schema.additionalProperties, `${path}.${key}`));
+          }
+        });
+      }
+
+      (schema.allOf || []).forEach(subschema => {
+        errors.push(...this._validateSchema(value, subschema, path));
+      });
+      if (schema.anyOf && !schema.anyOf.some(subschema => !this._validateSchema(value, subschema, path).length)) {
+        errors.push({ path, message: 'must match at least one of the allowed schemas' });
+      }
+      if (schema.oneOf) {
+        const matching = schema.oneOf.filter(subschema => !this._validateSchema(value, subschema, path).length).length;
+        if (matching !== 1) {
+          errors.push({ path, message: `must match exactly one of the allowed schemas (matched ${matching})` });
+        }
+      }
+
+      return errors;
+    }
+
+    // Find the candidate within a small edit distance of `word`, for
+    // "did you mean" hints on misspelled property names
+    _closestMatch(word, candidates) {
+      const distance = (a, b) => {
+        const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+          let previous = row[0];
+          row[0] = i;
+          for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1));
+            previous = current;
+          }
+        }
+        return row[b.length];
+      };
+      let best = null;
+      let bestDistance = Math.max(2, Math.floor(word.length / 4)) + 1;
+      candidates.forEach(candidate => {
+        const d = distance(word, candidate);
+        if (d < bestDistance) {
+          best = candidate;
+          bestDistance = d;
+        }
+      });
+      return best;
+    }
+
+    // Gemini's responseSchema accepts an OpenAPI subset of JSON Schema, so
+    // drop unsupported keywords and turn ['type', 'null'] into nullable
+    _toGeminiSchema(schema) {
+      if (!schema || typeof schema !== 'object') return schema;
+
+      const supported = ['type', 'format', 'description', 'nullable', 'enum', 'items', 'properties', 'required',
+        'minItems', 'maxItems', 'minimum', 'maximum', 'anyOf', 'propertyOrdering'];
+      const converted = {};
+      supported.forEach(key => {
+        if (schema[key] !== undefined) converted[key] = schema[key];
+      });
+
+      if (Array.isArray(converted.type)) {
+        const types = converted.type.filter(type => type !== 'null');
+        if (types.length < converted.type.length) converted.nullable = true;
+        converted.type = types[0];
+      }
+      if (converted.items) converted.items = this._toGeminiSchema(converted.items);
+      if (converted.anyOf) converted.anyOf = converted.anyOf.map(subschema => this._toGeminiSchema(subschema));
+      if (converted.properties) {
+        converted.properties = Object.fromEntries(
+          Object.entries(converted.properties).map(([key, subschema]) => [key, this._toGeminiSchema(subschema)])
+        );
+      }
+      return converted;
+    }
+
+    // Stream a response from an agent. Returns an async iterator of text
+    // deltas; breaking out of the loop, aborting options.signal or
+    // cancelAll() cancels the request quietly, while a timeout throws. The
+    // transaction is recorded once the stream settles.
+    async *chatStream(agentId, message, options = {}) {
+      const agent = this.agents.get(agentId);
+      if (!agent) {
+        this._handleError(new Error(`Agent not found: ${agentId}`), 'AGENT_NOT_FOUND');
+        return;
+      }
+
+      this._checkBudget(agent);
+
+      // Tool calls and structured output need the whole reply, so they are
+      // refused rather than silently left out
+      if ((options.tools || agent.config.tools || []).length) {
+        this._handleError(new Error('chatStream() does not support tools; use chat(), or pass tools: [] to stream without them'), 'UNSUPPORTED_OPTION');
+        return;
+      }
+      if (options.outputSchema || agent.config.outputSchema) {
+        this._handleError(new Error('chatStream() does not support outputSchema; use chat() for structured output'), 'UNSUPPORTED_OPTION');
+        return;
+      }
+
+      let prompted;
+      try {
+        prompted = this._prepareAgentPrompts(agent, options);
+      } catch (error) {
+        this._handleError(error, 'TEMPLATE_ERROR');
+        return;
+      }
+
+      const provider = agent.config.provider || options.provider || this.options.defaultProvider;
+      const chain = this._getProviderChain(agent, options);
+
+      if (!chain.length) {
+        this._handleError(new Error(`Provider not available: ${provider}`), 'PROVIDER_ERROR');
+        return;
+      }
+      if (!this.providers[chain[0].provider].stream) {
+        this._handleError(new Error(`Provider ${chain[0].provider} does not support streaming`), 'PROVIDER_ERROR');
+        return;
+      }
+
+      agent.state.currentProvider = chain[0].provider;
+      agent.state.currentModel = chain[0].model;
+
+      const threadId = options.threadId || options.sessionId || agent.state.currentThread;
+      const history = threadId ? this._getThreadHistory(agent, threadId, options) : [];
 
-      // Create transaction record
       const transaction = {
         timestamp: new Date(),
         query: message,
         response: null,
         duration: 0,
         error: null,
-        provider,
-        model: agent.state.currentModel
+        provider: chain[0].provider,
+        model: chain[0].model,
+        threadId: threadId || null,
+        stream: true
       };
 
-      this._emit('chat-start', { agentId, message });
-      this._log(`Chat request to ${agentId}: ${message}`);
+      // Besides the caller's signal, timeout and cancelAll(), an early exit
+      // from the iterator cancels the request
+      const scope = this._createAbortScope(agent, options);
+
+      const recordCancelled = () => {
+        transaction.cancelled = true;
+        transaction.duration = Date.now() - startTime;
+        transaction.response = response || null;
+        this._recordTransaction(agent, transaction);
+        this._emit('chat-cancelled', { agentId, message, response, threadId });
+      };
+
+      this._emit('chat-start', { agentId, message, threadId, stream: true });
+      this._log(`Streaming chat request to ${agentId}: ${message}`);
 
       const startTime = Date.now();
+      let response = '';
+      let settled = false;
       try {
-        const response = await this.providers[provider].chat(agent, message);
+        // Fail over to the next streaming-capable target only while nothing
+        // has been yielded yet; a stream that breaks midway is an error
+        const targets = chain.filter(target => this.providers[target.provider].stream);
+        for (let i = 0; i < targets.length; i++) {
+          const target = this._useProviderTarget(prompted, targets[i], transaction);
+          try {
+            const context = this._createContext(targets[i].provider, target, { history, options, transaction, signal: scope.signal });
+            for await (const delta of this.providers[targets[i].provider].stream(target, message, context)) {
+              response += delta;
+              this._emit('chat-delta', { agentId, delta, threadId });
+              yield delta;
+            }
+            this._addUsage(transaction, context.usage);
+            break;
+          } catch (error) {
+            if (response || scope.signal.aborted || !this._shouldFailover(agent, error, targets, i, transaction)) {
+              throw error;
+            }
+          }
+        }
+        settled = true;
+
         transaction.duration = Date.now() - startTime;
         transaction.response = response;
-        
-        // Add transaction to agent history
-        agent.addTransaction(transaction);
-        
-        // Update control panel to reflect the new transaction
-        this.updateControlPanel();
-        
-        this._emit('chat-complete', { 
-          agentId, 
-          message, 
+
+        if (threadId) {
+          agent.appendToThread(threadId,
+            { role: 'user', content: message },
+            { role: 'assistant', content: response }
+          );
+        }
+
+        this._recordTransaction(agent, transaction);
+
+        this._emit('chat-complete', {
+          agentId,
+          message,
           response,
-          duration: transaction.duration
+          threadId,
+          provider: transaction.provider,
+          model: transaction.model,
+          duration: transaction.duration,
+          stream: true
         });
-        
-        this._log(`Chat response from ${agentId}: ${response}`);
-        return response;
       } catch (error) {
-        transaction.error = error;
+        settled = true;
+        if (scope.status() === 'cancelled') {
+          recordCancelled();
+          return;
+        }
+
+        transaction.status = scope.status() || 'error';
+        transaction.error = scope.status() ? scope.signal.reason : error;
         transaction.duration = Date.now() - startTime;
-        
-        // Add failed transaction to history
-        agent.addTransaction(transaction);
-        
-        // Update control panel to reflect the failed transaction
-        this.updateControlPanel();
-        
+        this._recordTransaction(agent, transaction);
+
+        if (scope.status()) this._throwAborted(scope, `Chat with ${agentId}`);
         this._handleError(error, 'CHAT_ERROR', `Chat failed with ${agentId}`);
+      } finally {
+        // The consumer stopped iterating before the stream finished
+        if (!settled) {
+          scope.abort();
+          recordCancelled();
+        }
+        scope.done();
+      }
+    }
+
+    // Abort the in-flight calls to an agent, or to every agent when agentId
+    // is omitted. Each rejects with code CANCELLED (streams just end) and
+    // is recorded with status 'cancelled'. Returns how many were aborted.
+    cancelAll(agentId) {
+      const reason = new Error(agentId === undefined ? 'All requests were cancelled' : `Requests to ${agentId} were cancelled`);
+      reason.name = 'AbortError';
+      let count = 0;
+      this.inFlight.forEach((aborts, key) => {
+        if (agentId !== undefined && key !== agentId) return;
+        [...aborts].forEach(abort => {
+          abort(reason);
+          count++;
+        });
+      });
+      this._emit('requests-cancelled', { agentId: agentId ?? null, count });
+      this._log(`Cancelled ${count} request${count === 1 ? '' : 's'}${agentId === undefined ? '' : ` to ${agentId}`}`);
+      return count;
+    }
+
+    // Add a provider-reported usage record ({ promptTokens, completionTokens,
+    // totalTokens }) to the transaction; tool rounds and repairs accumulate
+    _addUsage(transaction, usage) {
+      if (!usage) return;
+      const total = transaction.usage || (transaction.usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+      total.promptTokens += usage.promptTokens || 0;
+      total.completionTokens += usage.completionTokens || 0;
+      total.totalTokens += usage.totalTokens || (usage.promptTokens || 0) + (usage.completionTokens || 0);
+    }
+
+    // Estimate the cost in USD of a usage record, or null for unpriced models
+    _estimateCost(model, usage) {
+      if (!model || !usage) return null;
+      const pricing = { ...DEFAULT_PRICING, ...this.options.pricing };
+      const key = Object.keys(pricing)
+        .filter(prefix => model.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+      if (!key) return null;
+      return (usage.promptTokens * pricing[key].input + usage.completionTokens * pricing[key].output) / 1e6;
+    }
+
+    // Price a finished transaction, add it to the instance totals and the
+    // agent's history, and refresh the control panel. Its status is
+    // 'success', 'error', 'timeout' or 'cancelled'.
+    _recordTransaction(agent, transaction) {
+      transaction.status = transaction.status || (transaction.cancelled ? 'cancelled' : transaction.error ? 'error' : 'success');
+      if (transaction.usage) {
+        transaction.cost = this._estimateCost(transaction.model, transaction.usage);
+        this.usageTotals.promptTokens += transaction.usage.promptTokens;
+        this.usageTotals.completionTokens += transaction.usage.completionTokens;
+        this.usageTotals.totalTokens += transaction.usage.totalTokens;
+        this.usageTotals.estimatedCost += transaction.cost || 0;
+        this._persistUsage();
+      }
+      agent.addTransaction(transaction);
+      this._persistAgent(agent);
+      this.updateControlPanel();
+    }
+
+    // Refuse new requests once the agent's or the instance's budget
+    // ({ maxCost, maxTokens }) has been used up
+    _checkBudget(agent) {
+      const scopes = [
+        { scope: 'agent', budget: agent.config.budget, totals: agent.metrics },
+        { scope: 'global', budget: this.options.budget, totals: this.usageTotals }
+      ];
+      for (const { scope, budget, totals } of scopes) {
+        if (!budget) continue;
+        const overCost = budget.maxCost !== undefined && totals.estimatedCost >= budget.maxCost;
+        const overTokens = budget.maxTokens !== undefined && totals.totalTokens >= budget.maxTokens;
+        if (!overCost && !overTokens) continue;
+
+        const owner = scope === 'agent' ? `Agent ${agent.id}` : 'Global';
+        const error = new Error(overCost
+          ? `${owner} budget exceeded: $${totals.estimatedCost.toFixed(4)} of $${budget.maxCost}`
+          : `${owner} budget exceeded: ${totals.totalTokens} of ${budget.maxTokens} tokens`);
+        error.code = 'BUDGET_EXCEEDED';
+        error.details = { scope, budget, totalTokens: totals.totalTokens, estimatedCost: totals.estimatedCost };
+        this._emit('budget-exceeded', { agentId: agent.id, ...error.details });
+        this._handleError(error, 'BUDGET_EXCEEDED');
+      }
+    }
+
+    // Get token usage and estimated cost across all agents
+    getUsage() {
+      return {
+        ...this.usageTotals,
+        agents: Array.from(this.agents.values()).map(agent => ({
+          agentId: agent.id,
+          promptTokens: agent.metrics.promptTokens,
+          completionTokens: agent.metrics.completionTokens,
+          totalTokens: agent.metrics.totalTokens,
+          estimatedCost: agent.metrics.estimatedCost
+        }))
+      };
+    }
+
+    // Register a tool handler. `definition` describes the tool to the model:
+    // { description, parameters } where parameters is a JSON schema.
+    registerTool(name, handler, definition = {}) {
+      if (!name || typeof handler !== 'function') {
+        this._handleError(new Error(`Invalid tool: ${name}`), 'TOOL_ERROR');
+        return this;
+      }
+      this.tools.set(name, {
+        name,
+        description: definition.description || '',
+        parameters: definition.parameters || { type: 'object', properties: {} },
+        handler
+      });
+      this._emit('tool-registered', { name });
+      return this;
+    }
+
+    // Remove a registered tool
+    unregisterTool(name) {
+      return this.tools.delete(name);
+    }
+
+    // Get all registered tools
+    getTools() {
+      return Array.from(this.tools.values());
+    }
+
+    // Resolve the tools available to an agent. Agents (or per-call options)
+    // declare tools either by name, referring to a registered tool, or as
+    // { name, description, parameters, handler? } objects.
+    _resolveAgentTools(agent, options = {}) {
+      const declared = options.tools || agent.config.tools || [];
+
+      return declared.map(entry => {
+        const name = typeof entry === 'string' ? entry : entry.name;
+        const registered = this.tools.get(name);
+        if (typeof entry === 'string' && !registered) {
+          const error = new Error(`Unknown tool: ${name}`);
+          error.code = 'TOOL_ERROR';
+          throw error;
+        }
+        return {
+          name,
+          description: entry.description || registered?.description || '',
+          parameters: entry.parameters || registered?.parameters || { type: 'object', properties: {} },
+          handler: entry.handler || registered?.handler
+        };
+      });
+    }
+
+    // Run a tool requested by the model and record it on the transaction.
+    // Handler failures are reported back to the model rather than thrown.
+    async _executeToolCall(agent, call, tools, transaction, signal) {
+      const tool = tools.find(t => t.name === call.name);
+      const record = {
+        id: call.id,
+        name: call.name,
+        arguments: call.arguments,
+        result: null,
+        error: null,
+        duration: 0
+      };
+
+      this._emit('tool-call-start', { agentId: agent.id, toolCall: call });
+      const startTime = Date.now();
+      try {
+        if (!tool || typeof tool.handler !== 'function') {
+          throw new Error(`No handler registered for tool: ${call.name}`);
+        }
+        record.result = await tool.handler(call.arguments || {}, { agent, agentId: agent.id, toolCall: call, signal });
+      } catch (error) {
+        record.error = error.message;
+        this._log(`Tool ${call.name} failed: ${error.message}`, 'error');
+      }
+      record.duration = Date.now() - startTime;
+
+      transaction.toolCalls = transaction.toolCalls || [];
+      transaction.toolCalls.push(record);
+      this._emit('tool-call-complete', { agentId: agent.id, toolCall: record });
+
+      let content;
+      if (record.error) {
+        content = JSON.stringify({ error: record.error });
+      } else {
+        content = typeof record.result === 'string' ? record.result : JSON.stringify(record.result ?? null);
+      }
+      return { role: 'tool', toolCallId: call.id, name: call.name, content };
+    }
+
+    // Get agent history
+    getAgentHistory(agentId) {
+      const agent = this.agents.get(agentId);
+      return agent ? agent.getHistory() : [];
+    }
+
+    // Get agent metrics
+    getAgentMetrics(agentId) {
+      const agent = this.agents.get(agentId);
+      return agent ? agent.getMetrics() : null;
+    }
+
+    // Get agent state
+    getAgentState(agentId) {
+      const agent = this.agents.get(agentId);
+      return agent ? agent.getState() : null;
+    }
+
+    // Get prior turns of a thread to replay, trimmed to maxHistoryMessages
+    _getThreadHistory(agent, threadId, options = {}) {
+      const thread = agent.getThread(threadId);
+      if (!thread) return [];
+
+      const limit = options.maxHistoryMessages || agent.config.maxHistoryMessages;
+      let messages = limit ? thread.messages.slice(-limit) : thread.messages;
+      // Replay from a user turn: an odd limit can cut a pair in half, and
+      // Anthropic rejects conversations that open with the assistant
+      const start = messages.findIndex(m => m.role === 'user');
+      messages = start === -1 ? [] : messages.slice(start);
+      return messages.map(m => ({ role: m.role, content: m.content }));
+    }
+
+    // List conversation threads of an agent
+    listThreads(agentId) {
+      const agent = this.agents.get(agentId);
+      return agent ? agent.listThreads() : [];
+    }
+
+    // Get a single conversation thread
+    getThread(agentId, threadId) {
+      const agent = this.agents.get(agentId);
+      return agent ? agent.getThread(threadId) : null;
+    }
+
+    // Create an empty thread and return its ID
+    createThread(agentId, threadId = this._generateId('thread')) {
+      const agent = this.agents.get(agentId);
+      if (!agent) {
+        this._handleError(new Error(`Agent not found: ${agentId}`), 'AGENT_NOT_FOUND');
+        return null;
+      }
+      agent.getThread(threadId, true);
+      this._persistAgent(agent);
+      this._emit('thread-created', { agentId, threadId });
+      return threadId;
+    }
+
+    // Fork a thread into a new one, optionally only up to a message index
+    forkThread(agentId, threadId, options = {}) {
+      const agent = this.agents.get(agentId);
+      if (!agent) {
+        this._handleError(new Error(`Agent not found: ${agentId}`), 'AGENT_NOT_FOUND');
+        return null;
+      }
+      const newThreadId = options.newThreadId || this._generateId('thread');
+      const fork = agent.forkThread(threadId, newThreadId, options.atMessage);
+      if (!fork) {
+        this._handleError(new Error(`Thread not found: ${threadId}`), 'THREAD_NOT_FOUND');
         return null;
       }
+      this._persistAgent(agent);
+      this._emit('thread-forked', { agentId, threadId, newThreadId });
+      return newThreadId;
+    }
+
+    // Remove all messages from a thread but keep the thread itself
+    clearThread(agentId, threadId) {
+      const agent = this.agents.get(agentId);
+      const cleared = agent ? agent.clearThread(threadId) : false;
+      if (cleared) {
+        this._persistAgent(agent);
+        this._emit('thread-cleared', { agentId, threadId });
+      }
+      return cleared;
     }
 
-    // Get agent history
-    getAgentHistory(agentId) {
+    // Delete a thread entirely
+    deleteThread(agentId, threadId) {
       const agent = this.agents.get(agentId);
-      return agent ? agent.getHistory() : [];
+      const deleted = agent ? agent.deleteThread(threadId) : false;
+      if (deleted) {
+        this._persistAgent(agent);
+        this._emit('thread-deleted', { agentId, threadId });
+      }
+      return deleted;
     }
 
-    // Get agent metrics
-    getAgentMetrics(agentId) {
+    // Make a thread the default for subsequent chat() calls without a threadId.
+    // Pass null to go back to stateless chats.
+    resumeThread(agentId, threadId) {
       const agent = this.agents.get(agentId);
-      return agent ? agent.getMetrics() : null;
+      if (!agent) {
+        this._handleError(new Error(`Agent not found: ${agentId}`), 'AGENT_NOT_FOUND');
+        return null;
+      }
+      agent.state.currentThread = threadId || null;
+      const thread = threadId ? agent.getThread(threadId, true) : null;
+      this._persistAgent(agent);
+      this._emit('thread-resumed', { agentId, threadId: agent.state.currentThread });
+      return thread;
     }
 
-    // Get agent state
-    getAgentState(agentId) {
-      const agent = this.agents.get(agentId);
-      return agent ? agent.getState() : null;
+    // Resolve the `storage` option: a built-in adapter name or an adapter object
+    _createStorage(storage, storageOptions = {}) {
+      if (!storage) return null;
+      if (typeof storage === 'string') {
+        if (!STORAGE_ADAPTERS[storage]) {
+          throw new Error(`Unknown storage adapter: ${storage}`);
+        }
+        return STORAGE_ADAPTERS[storage](storageOptions);
+      }
+      return storage;
+    }
+
+    // Load all persisted agents into memory
+    async _restoreAgents() {
+      try {
+        const keys = (await this.storage.keys()).filter(key => key.startsWith('agent:'));
+        for (const key of keys) {
+          const data = await this.storage.get(key);
+          if (!data || !data.config) continue;
+          const agent = new Agent(data.config, { maxTransactions: this.options.maxTransactions }).restore(data);
+          this.agents.set(agent.id, agent);
+          this._emit('agent-restored', { agentId: agent.id, name: agent.name, transactions: agent.transactions.length });
+        }
+
+        // The instance totals (which the global budget is checked against)
+        // also count removed agents. Stores saved before they were persisted
+        // fall back to the sum of the restored agents.
+        const usage = await this.storage.get('usage');
+        Object.keys(this.usageTotals).forEach(key => {
+          this.usageTotals[key] = usage
+            ? usage[key] || 0
+            : Array.from(this.agents.values()).reduce((sum, agent) => sum + (agent.metrics[key] || 0), 0);
+        });
+        this.updateControlPanel();
+      } catch (error) {
+        this._emitStorageError('Failed to restore agents from storage', error);
+      }
+    }
+
+    // Save an agent's current state. Writes are queued so they land in order.
+    _persistAgent(agent) {
+      if (!this.storage) return this.storageQueue;
+      return this._queueStorage(`Failed to persist agent ${agent.id}`, () => this.storage.set(`agent:${agent.id}`, agent.toJSON()));
+    }
+
+    // Save the instance's usage totals
+    _persistUsage() {
+      if (!this.storage) return this.storageQueue;
+      const totals = { ...this.usageTotals };
+      return this._queueStorage('Failed to persist usage totals', () => this.storage.set('usage', totals));
+    }
+
+    // Chain a storage operation after the pending ones
+    _queueStorage(failureMessage, operation) {
+      this.storageQueue = this.storageQueue
+        .then(operation)
+        .catch(error => this._emitStorageError(failureMessage, error));
+      return this.storageQueue;
+    }
+
+    // Storage runs in the background, so failures are reported as events
+    // instead of being thrown at the caller
+    _emitStorageError(message, error) {
+      this._log(`${message}: ${error.message}`, 'error');
+      this._emit('error', { message: `${message}: ${error.message}`, code: 'STORAGE_ERROR', originalError: error });
+    }
+
+    // Wait until all pending storage writes (including recorded fixtures)
+    // have completed
+    flushStorage() {
+      return this.storageQueue;
     }
 
     // Get agent by ID
@@ -566,6 +4514,9 @@ class Agent {
     removeAgent(agentId) {
       const removed = this.agents.delete(agentId);
       if (removed) {
+        if (this.storage) {
+          this._queueStorage(`Failed to remove stored agent ${agentId}`, () => this.storage.delete(`agent:${agentId}`));
+        }
         this._emit('agent-removed', agentId);
         this._log(`Agent removed: ${agentId}`);
         
@@ -591,12 +4542,64 @@ class Agent {
 
     _emit(event, data) {
       if (this.eventHandlers[event]) {
-        this.eventHandlers[event].forEach(handler => handler(data));
+        const payload = this._redact(data);
+        this.eventHandlers[event].forEach(handler => handler(payload));
+      }
+    }
+
+    // Replace API keys and other credentials in text
+    _redactText(text) {
+      if (typeof text !== 'string' || text.startsWith('data:')) return text;
+      let result = text;
+      Object.values(this.options.apiKeys).forEach(key => {
+        if (typeof key === 'string' && key.length >= 8) result = result.split(key).join('[REDACTED]');
+      });
+      return result
+        .replace(/\bsk-(?:ant-)?[A-Za-z0-9_-]{16,}/g, '[REDACTED]')
+        .replace(/\bAIza[0-9A-Za-z_-]{30,}/g, '[REDACTED]')
+        .replace(/(\bBearer\s+)[A-Za-z0-9._~+\/-]{16,}=*/g, '$1[REDACTED]')
+        .replace(/([?&](?:key|api_key)=)[^&\s"']+/gi, '$1[REDACTED]');
+    }
+
+    // Redact credentials anywhere in a value, so they never reach logs, events
+    // or the control panel. Arrays and plain objects are copied only where
+    // something changes, and properties named like credentials are blanked.
+    // Errors are redacted in place.
+    _redact(value, seen = new Set()) {
+      if (typeof value === 'string') return this._redactText(value);
+      if (!value || typeof value !== 'object' || seen.has(value)) return value;
+      seen.add(value);
+
+      if (value instanceof Error) {
+        // Only assign on change: a DOMException's message is read-only
+        const message = this._redactText(value.message);
+        if (message !== value.message) value.message = message;
+        if (typeof value.stack === 'string') value.stack = this._redactText(value.stack);
+        return value;
+      }
+      if (Array.isArray(value)) {
+        const items = value.map(item => this._redact(item, seen));
+        return items.some((item, index) => item !== value[index]) ? items : value;
       }
+      const prototype = Object.getPrototypeOf(value);
+      if (prototype !== Object.prototype && prototype !== null) return value;
+
+      let copy = null;
+      Object.keys(value).forEach(key => {
+        const redacted = SECRET_PROPERTY.test(key) && value[key] ? '[REDACTED]' : this._redact(value[key], seen);
+        if (redacted !== value[key]) {
+          copy = copy || { ...value };
+          copy[key] = redacted;
+        }
+      });
+      return copy || value;
     }
 
     // Error handling
     _handleError(error, code, message) {
+      // A replay miss keeps its code through every wrapping layer so tests
+      // can tell a missing fixture from a provider failure
+      if (error && error.code === 'FIXTURE_NOT_FOUND') code = 'FIXTURE_NOT_FOUND';
       let errorMessage = message || error.message;
       
       switch (code) {
@@ -628,7 +4631,9 @@ class Agent {
           }
           break;
         case 'CONFIG_ERROR':
-          errorMessage = 'Invalid agent configuration. Please check your agent configuration and try again.';
+          errorMessage = error.details
+            ? `Invalid agent configuration: ${error.message}`
+            : 'Invalid agent configuration. Please check your agent configuration and try again.';
           break;
         case 'AGENT_LOAD_ERROR':
           errorMessage = `Failed to load agent: ${error.message}. Please check the agent configuration and try again.`;
@@ -636,32 +4641,69 @@ class Agent {
         case 'AGENT_NOT_FOUND':
           errorMessage = `Agent not found: ${error.message}. Please check the agent ID and try again.`;
           break;
+        case 'SCHEMA_VALIDATION_ERROR':
+          errorMessage = `Response did not match the output schema: ${error.message}`;
+          break;
+        case 'TOOL_ERROR':
+          errorMessage = `Tool error: ${error.message}`;
+          break;
+        case 'BUDGET_EXCEEDED':
+          errorMessage = `${error.message}. Raise the budget or reset usage to continue.`;
+          break;
+        case 'WORKFLOW_ERROR':
+          errorMessage = `Workflow error: ${error.message}`;
+          break;
+        case 'TEMPLATE_ERROR':
+          errorMessage = `Prompt template error: ${error.message}`;
+          break;
+        case 'THREAD_NOT_FOUND':
+          errorMessage = `${error.message}. Please check the thread ID and try again.`;
+          break;
         case 'CHAT_ERROR':
           errorMessage = `Chat failed with ${error.message}. Please check the chat request and try again.`;
           break;
+        case 'TIMEOUT':
+          errorMessage = `${errorMessage}. Raise timeoutMs or try again later.`;
+          break;
+        case 'CANCELLED':
+          errorMessage = message || 'The request was cancelled';
+          break;
+        case 'FIXTURE_NOT_FOUND':
+          errorMessage = error.message;
+          break;
         default:
           errorMessage = error.message || 'An unknown error occurred. Please try again later.';
       }
       
       const worksonaError = {
-        message: errorMessage,
+        message: this._redactText(errorMessage),
         code,
-        originalError: error
+        originalError: error,
+        ...(error.details && { details: error.details })
       };
       this._emit('error', worksonaError);
       this._log(`Error [${code}]: ${worksonaError.message}`, 'error');
       throw worksonaError;
     }
 
+    // Generate a reasonably unique ID with the given prefix
+    _generateId(prefix = 'id') {
+      return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
     // Logging
     _log(message, level = 'info') {
       if (this.options.debug) {
-        console[level](`[Worksona] ${message}`);
+        console[level](`[Worksona] ${this._redactText(String(message))}`);
       }
     }
 
     // Create control panel for development
     createControlPanel(containerId) {
+      if (!hasDOM()) {
+        this._log('Control panel requires a DOM; skipping in headless mode', 'warn');
+        return;
+      }
       this.controlPanelId = containerId;
       const container = document.getElementById(containerId);
       if (!container) {
@@ -686,19 +4728,9 @@ class Agent {
           <div class="worksona-llm-status-bar">
             <div class="worksona-status-label">LLM Status</div>
             <div class="worksona-status-indicators">
-              <div class="worksona-status-item">
-                <div class="worksona-status-dot" id="worksona-openai-status"></div>
-                <span>OpenAI</span>
-              </div>
-              <div class="worksona-status-item">
-                <div class="worksona-status-dot" id="worksona-anthropic-status"></div>
-                <span>Anthropic</span>
-              </div>
-              <div class="worksona-status-item">
-                <div class="worksona-status-dot" id="worksona-google-status"></div>
-                <span>Google</span>
-              </div>
+              ${this._renderProviderStatusItems()}
             </div>
+            <div class="worksona-status-message" id="worksona-status-message"></div>
           </div>
           
           <div class="worksona-tabs">
@@ -734,6 +4766,15 @@ class Agent {
                 </div>
               </div>
               
+              ${this.keyProvider && typeof this.keyProvider.unlock === 'function' ? `
+              <div class="worksona-key-input">
+                <label for="worksona-key-passphrase">Passphrase</label>
+                <div class="worksona-input-group">
+                  <input type="password" id="worksona-key-passphrase" placeholder="Encrypts the saved keys">
+                  <button class="worksona-toggle-visibility">👁️</button>
+                </div>
+              </div>
+              ` : ''}
               <div class="worksona-button-group">
                 <button id="worksona-save-keys" class="worksona-primary-button">Save API Keys</button>
                 <button id="worksona-test-connections" class="worksona-secondary-button">Test Connections</button>
@@ -840,6 +4881,21 @@ class Agent {
           background: #10b981;
         }
 
+        .worksona-status-dot.error {
+          background: #ef4444;
+        }
+
+        .worksona-model-select {
+          font-size: 13px;
+          padding: 2px 4px;
+          max-width: 260px;
+        }
+
+        .worksona-status-message {
+          font-size: 12px;
+          color: #fbbf24;
+        }
+
         .worksona-tabs {
           display: flex;
           padding: 0 20px;
@@ -1117,6 +5173,12 @@ class Agent {
           max-height: 200px;
           overflow-y: auto;
         }
+
+        .worksona-muted {
+          color: #6b7280;
+          font-weight: normal;
+          font-size: 12px;
+        }
         
         .worksona-examples {
           display: flex;
@@ -1264,10 +5326,33 @@ class Agent {
       // Add event listeners
       this._setupEventListeners(container);
 
+      // Surface retries and client-side rate limiting in the status bar
+      if (!this.panelStatusHandlersAdded) {
+        this.panelStatusHandlersAdded = true;
+        this.on('retry', (data) => {
+          this._showPanelStatus(`Retrying ${data.provider} (attempt ${data.attempt + 1}/${data.maxAttempts}) in ${(data.delay / 1000).toFixed(1)}s`);
+        });
+        this.on('rate-limited', (data) => {
+          this._showPanelStatus(`${data.provider} rate limit reached, waiting ${(data.wait / 1000).toFixed(1)}s`);
+        });
+      }
+
       // Initial update
       this.updateControlPanel();
     }
 
+    // Show a transient message in the control panel status bar
+    _showPanelStatus(message, duration = 5000) {
+      const element = document.getElementById('worksona-status-message');
+      if (!element) return;
+
+      element.textContent = message;
+      clearTimeout(this.panelStatusTimer);
+      this.panelStatusTimer = setTimeout(() => {
+        element.textContent = '';
+      }, duration);
+    }
+
     _setupEventListeners(container) {
       // Use the provided container or fall back to the stored container reference
       container = container || this.controlPanelContainer;
@@ -1308,35 +5393,34 @@ class Agent {
         const newSaveButton = saveButton.cloneNode(true);
         saveButton.parentNode.replaceChild(newSaveButton, saveButton);
         
-        newSaveButton.addEventListener('click', () => {
-          const openaiKey = document.getElementById('worksona-openai-key').value;
-          const anthropicKey = document.getElementById('worksona-anthropic-key').value;
-          const googleKey = document.getElementById('worksona-google-key').value;
-          
-          // Save to localStorage first
-          if (openaiKey) localStorage.setItem('openai_api_key', openaiKey);
-          if (anthropicKey) localStorage.setItem('anthropic_api_key', anthropicKey);
-          if (googleKey) localStorage.setItem('google_api_key', googleKey);
-          
-          // Update API keys in options
-          this.options.apiKeys = {
-            ...this.options.apiKeys,
-            ...(openaiKey && { openai: openaiKey }),
-            ...(anthropicKey && { anthropic: anthropicKey }),
-            ...(googleKey && { google: googleKey })
-          };
-          
-          // Reinitialize providers with new keys
-          this._initializeProviders();
-          
-          // Update control panel
-          this.updateControlPanel();
-          
-          // Emit event
-          this._emit('api-keys-updated', { providers: Object.keys(this.options.apiKeys) });
+        newSaveButton.addEventListener('click', async () => {
+          const keys = {};
+          ['openai', 'anthropic', 'google'].forEach(provider => {
+            const input = document.getElementById(`worksona-${provider}-key`);
+            // Empty fields keep the saved key
+            if (input && input.value) keys[provider] = input.value;
+          });
           
-          // Show success message only once
-          alert('API keys saved successfully!');
+          try {
+            // Encrypted keys are unlocked (or the passphrase set) first
+            const passphrase = document.getElementById('worksona-key-passphrase');
+            if (this.keyProvider && this.keyProvider.locked) {
+              await this.unlockKeys(passphrase ? passphrase.value : '');
+            }
+            if (passphrase) passphrase.value = '';
+            
+            // Saved with the key provider; providers are reinitialized
+            await this.setApiKeys(keys);
+            ['openai', 'anthropic', 'google'].forEach(provider => {
+              const input = document.getElementById(`worksona-${provider}-key`);
+              if (input) input.value = '';
+            });
+            
+            // Show success message only once
+            alert('API keys saved successfully!');
+          } catch (error) {
+            alert(error.message);
+          }
         });
       }
 
@@ -1395,54 +5479,21 @@ class Agent {
     }
 
     async _testProviderConnections() {
-      const providers = ['openai', 'anthropic', 'google'];
-      
-      for (const provider of providers) {
-        const statusDot = document.getElementById(`worksona-${provider}-status`);
-        if (!statusDot) continue;
-        
-        if (!this.options.apiKeys[provider] || this.options.apiKeys[provider].trim() === '') {
-          statusDot.className = 'worksona-status-dot';
-          continue;
-        }
-        
-        try {
-          // Simple validation for each provider based on key format
-          let isValid = false;
-          
-          switch (provider) {
-            case 'openai':
-              isValid = this.options.apiKeys.openai && this.options.apiKeys.openai.startsWith('sk-');
-              break;
-            case 'anthropic':
-              isValid = this.options.apiKeys.anthropic && this.options.apiKeys.anthropic.startsWith('sk-ant-');
-              break;
-            case 'google':
-              isValid = this.options.apiKeys.google && this.options.apiKeys.google.length > 10;
-              break;
-          }
-          
-          statusDot.className = isValid ? 'worksona-status-dot active' : 'worksona-status-dot';
-          this._log(`Provider ${provider} validation result: ${isValid ? 'valid' : 'invalid'}`);
-          
-        } catch (error) {
-          statusDot.className = 'worksona-status-dot';
-          console.error(`Error testing ${provider} connection:`, error);
-        }
-      }
+      const configured = Array.from(this.providerRegistry.keys()).filter(provider => this.providers[provider]);
+      await Promise.all(configured.map(provider => this.testConnection(provider)));
     }
 
     updateControlPanel() {
-      if (!this.controlPanelId) return;
+      if (!this.controlPanelId || !hasDOM()) return;
 
       // Update provider status dots
       this._updateProviderStatus();
 
-      // Fill existing API key inputs
+      // Show which keys are set without putting them in the page
       Object.entries(this.options.apiKeys).forEach(([provider, key]) => {
         const input = document.getElementById(`worksona-${provider}-key`);
         if (input && key) {
-          input.value = key;
+          input.placeholder = key === 'proxy' ? 'Provided by the proxy' : `Saved (…${key.slice(-4)})`;
         }
       });
 
@@ -1458,15 +5509,36 @@ class Agent {
       }
     }
 
+    _renderProviderStatusItems() {
+      return Array.from(this.providerRegistry.entries()).map(([name, entry]) => `
+        <div class="worksona-status-item">
+          <div class="worksona-status-dot" id="worksona-${this._escapeHtml(name)}-status"></div>
+          <span>${this._escapeHtml(entry.displayName)}</span>
+        </div>
+      `).join('');
+    }
+
     _updateProviderStatus() {
-      const providers = ['openai', 'anthropic', 'google'];
-      
-      providers.forEach(provider => {
+      // Re-render the indicators so providers registered later show up too
+      const indicators = document.querySelector('.worksona-status-indicators');
+      if (indicators && indicators.children.length !== this.providerRegistry.size) {
+        indicators.innerHTML = this._renderProviderStatusItems();
+      }
+
+      Array.from(this.providerRegistry.keys()).forEach(provider => {
         const statusDot = document.getElementById(`worksona-${provider}-status`);
         if (!statusDot) return;
         
-        const isConfigured = !!this.options.apiKeys[provider];
-        statusDot.className = isConfigured ? 'worksona-status-dot active' : 'worksona-status-dot';
+        const isConfigured = !!this.providers[provider];
+        const tested = this.connectionStatus.get(provider);
+        statusDot.className = !isConfigured
+          ? 'worksona-status-dot'
+          : tested && !tested.ok ? 'worksona-status-dot error' : 'worksona-status-dot active';
+        statusDot.title = !isConfigured
+          ? 'No API key'
+          : tested
+            ? (tested.ok ? `Connected in ${tested.latency} ms` : `Connection failed: ${tested.error || 'unknown error'}`)
+            : 'Not tested yet';
       });
     }
 
@@ -1497,11 +5569,16 @@ class Agent {
               <div class="worksona-history-item">
                 <div class="worksona-history-time">${new Date(item.timestamp).toLocaleTimeString()}</div>
                 <div class="worksona-history-query"><strong>Query:</strong> ${this._escapeHtml(item.query)}</div>
-                <div class="worksona-history-response"><strong>Response:</strong> ${this._escapeHtml(item.response || 'Error: ' + (item.error?.message || 'Unknown error'))}</div>
+                <div class="worksona-history-response"><strong>Response:</strong> ${this._escapeHtml(item.response || (item.cancelled ? 'Cancelled' : 'Error: ' + (item.error?.message || 'Unknown error')))}</div>
                 <div class="worksona-history-meta">
                   <span>Provider: ${item.provider}</span> | 
                   <span>Model: ${item.model}</span> | 
                   <span>Duration: ${item.duration}ms</span>
+                  ${item.retries ? ` | <span>Retries: ${item.retries}</span>` : ''}
+                  ${item.usage ? ` | <span>Tokens: ${item.usage.totalTokens}</span>` : ''}
+                  ${item.cost ? ` | <span>Cost: $${item.cost.toFixed(4)}</span>` : ''}
+                  ${item.fallbacks && item.fallbacks.length ? ` | <span>Fell back from: ${this._escapeHtml(item.fallbacks.map(f => f.provider).join(', '))}</span>` : ''}
+                  ${item.toolCalls && item.toolCalls.length ? ` | <span>Tools: ${this._escapeHtml(item.toolCalls.map(call => call.name).join(', '))}</span>` : ''}
                 </div>
               </div>
             `).join('')
@@ -1530,6 +5607,13 @@ class Agent {
         const promptDisplay = systemPrompt 
           ? `<div class="worksona-prompt-box">${this._escapeHtml(systemPrompt)}</div>`
           : `<p class="worksona-no-examples">No system prompt has been defined for this agent. A system prompt helps establish the agent's behavior and capabilities.</p>`;
+
+        // With a personaMode the traits change what is actually sent
+        const compiledPrompt = this.getCompiledPrompt(agent.id);
+        const compiledDisplay = compiledPrompt !== (agent.config.systemPrompt || '')
+          ? `<h4>Compiled Prompt <span class="worksona-muted">(personaMode: ${this._escapeHtml(agent.config.personaMode || this.options.personaMode)})</span></h4>
+             <div class="worksona-prompt-box">${this._escapeHtml(compiledPrompt)}</div>`
+          : '';
           
         const examples = getExamples(agent);
         
@@ -1547,7 +5631,9 @@ class Agent {
           <div class="worksona-config-details">
             <h4>Model Settings</h4>
             <div><strong>Provider:</strong> ${agent.config?.provider || agent.state?.currentProvider || 'default'}</div>
-            <div><strong>Model:</strong> ${agent.config?.model || agent.state?.currentModel || 'default'}</div>
+            <div><strong>Model:</strong> ${this._renderModelSelect(agent)}</div>
+            ${agent.config?.fallbacks && agent.config.fallbacks.length ? `<div><strong>Fallbacks:</strong> ${this._escapeHtml(agent.config.fallbacks.map(f => typeof f === 'string' ? f : [f.provider, f.model].filter(Boolean).join('/')).join(' → '))}</div>` : ''}
+            ${state.currentProvider !== agent.config?.provider && agent.config?.provider ? `<div><strong>Currently Using:</strong> ${this._escapeHtml(state.currentProvider)}/${this._escapeHtml(state.currentModel || 'default')}</div>` : ''}
             <div><strong>Temperature:</strong> ${agent.config?.temperature !== undefined ? agent.config.temperature : (agent.config?.config?.temperature !== undefined ? agent.config.config.temperature : 'default')}</div>
             <div><strong>Max Tokens:</strong> ${agent.config?.maxTokens !== undefined ? agent.config.maxTokens : (agent.config?.config?.maxTokens !== undefined ? agent.config.config.maxTokens : 'default')}</div>
             ${agent.config?.topP !== undefined || agent.config?.config?.topP !== undefined ? `<div><strong>Top P:</strong> ${agent.config?.topP !== undefined ? agent.config.topP : agent.config?.config?.topP}</div>` : ''}
@@ -1557,7 +5643,7 @@ class Agent {
         `;
 
         // Format JSON for this specific agent with complete and properly formatted information
-        const agentJson = JSON.stringify({
+        const agentJson = JSON.stringify(this._redact({
           id: agent.id,
           name: agent.name,
           description: agent.description,
@@ -1576,7 +5662,7 @@ class Agent {
           metrics: agent.getMetrics(),
           state: agent.getState(),
           transactions: agent.getHistory().slice(-5)
-        }, null, 2);
+        }), null, 2);
 
         // Trait information
         const traits = agent.traits || {};
@@ -1629,6 +5715,7 @@ class Agent {
               <div class="worksona-agent-tab-content" id="worksona-agent-${agent.id}-prompt">
                 <h4>System Prompt</h4>
                 ${promptDisplay}
+                ${compiledDisplay}
                 
                 <h4>Examples</h4>
                 <div class="worksona-examples">
@@ -1645,6 +5732,8 @@ class Agent {
                   <div><strong>Total Queries:</strong> ${metrics.totalQueries}</div>
                   <div><strong>Avg Response Time:</strong> ${Math.round(metrics.avgResponseTime)}ms</div>
                   <div><strong>Success Rate:</strong> ${(metrics.successRate * 100).toFixed(1)}%</div>
+                  <div><strong>Tokens:</strong> ${metrics.totalTokens} (${metrics.promptTokens} in / ${metrics.completionTokens} out)</div>
+                  <div><strong>Estimated Cost:</strong> $${metrics.estimatedCost.toFixed(4)}</div>
                   <div><strong>Last Active:</strong> ${metrics.lastActive ? new Date(metrics.lastActive).toLocaleTimeString() : 'Never'}</div>
                 </div>
               </div>
@@ -1699,6 +5788,60 @@ class Agent {
         // Add the event listener
         tab.addEventListener('click', clickHandler);
       });
+
+      // Model pickers in the Model Settings tabs
+      agentList.querySelectorAll('.worksona-model-select').forEach(select => {
+        const changeHandler = () => this._setAgentModel(select.dataset.agent, select.value);
+        this.agentTabEventListeners.push({ element: select, type: 'change', listener: changeHandler });
+        select.addEventListener('change', changeHandler);
+      });
+    }
+
+    // Model picker for an agent, offering the chat and vision models found
+    // by listModels() for its provider
+    _renderModelSelect(agent) {
+      const provider = agent.config.provider || this.options.defaultProvider;
+      if (!this.modelCache.has(provider)) this._discoverModels(provider);
+      return `
+        <select class="worksona-model-select" data-agent="${this._escapeHtml(agent.id)}" data-provider="${this._escapeHtml(provider)}">
+          ${this._renderModelOptions(provider, agent.config.model || agent.state.currentModel)}
+        </select>
+      `;
+    }
+
+    _renderModelOptions(provider, current) {
+      const ids = (this.modelCache.get(provider) || [])
+        .filter(model => model.capabilities.includes('chat') || model.capabilities.includes('vision'))
+        .map(model => model.id);
+      if (current && !ids.includes(current)) ids.unshift(current);
+      if (!ids.length) return '<option value="">default</option>';
+      return ids.map(id => `<option value="${this._escapeHtml(id)}"${id === current ? ' selected' : ''}>${this._escapeHtml(id)}</option>`).join('');
+    }
+
+    // Fetch a provider's models in the background and refresh its pickers
+    _discoverModels(provider) {
+      if (!this.providers[provider] || this.modelDiscovery.has(provider)) return;
+      this.modelDiscovery.add(provider);
+      this.listModels(provider)
+        .then(() => {
+          document.querySelectorAll(`.worksona-model-select[data-provider="${provider}"]`).forEach(select => {
+            const agent = this.agents.get(select.dataset.agent);
+            if (agent) select.innerHTML = this._renderModelOptions(provider, agent.config.model || agent.state.currentModel);
+          });
+        })
+        // Failures are reported through the 'error' event; the picker keeps
+        // the current model
+        .catch(() => {});
+    }
+
+    // Switch an agent to another model from the control panel
+    _setAgentModel(agentId, model) {
+      const agent = this.agents.get(agentId);
+      if (!agent || !model) return;
+      agent.config.model = model;
+      agent.state.currentModel = model;
+      this._persistAgent(agent);
+      this._log(`Agent ${agentId} now uses ${model}`);
     }
     
     // Helper to escape HTML for safe display
@@ -1738,6 +5881,11 @@ class Agent {
 
     // Create a floating control panel with button in the bottom right
     createFloatingControlPanel() {
+      if (!hasDOM()) {
+        this._log('Control panel requires a DOM; skipping in headless mode', 'warn');
+        return;
+      }
+
       // Create a wrapper for the button and panel
       const wrapper = document.createElement('div');
       wrapper.id = 'worksona-floating-control';
@@ -1985,7 +6133,10 @@ class Agent {
     }
 
     /**
-     * Process (analyze) an image using the agent's provider (gpt-4o for OpenAI)
+     * Process (analyze) one or more images using the agent's provider. Images
+     * may be URLs, data URIs, base64, Blobs/Files or Buffers (see
+     * _normalizeImages); pass an array to send several in one request. The
+     * call is budgeted and recorded in the agent's transaction log like chat.
      */
     async processImage(agentId, imageData, options = {}) {
       const agent = this.agents.get(agentId);
@@ -1993,48 +6144,70 @@ class Agent {
         this._handleError(new Error(`Agent not found: ${agentId}`), 'AGENT_NOT_FOUND');
         return null;
       }
+
+      this._checkBudget(agent);
+
       const provider = agent.config.provider || this.options.defaultProvider;
+      const transaction = {
+        timestamp: new Date(),
+        type: 'image-analysis',
+        query: options.prompt || null,
+        response: null,
+        duration: 0,
+        error: null,
+        provider,
+        model: agent.config.model || null,
+        threadId: null
+      };
+
       this._emit('image-analysis-start', { agentId, provider, imageData, options });
+      const scope = this._createAbortScope(agent, options);
+      const startTime = Date.now();
       try {
-        if (provider === 'openai') {
-          // Use OpenAI GPT-4o for vision analysis
-          const modelName = (agent.config.model || 'gpt-4o').trim();
-          const messages = [
-            { role: 'system', content: agent.config.systemPrompt || 'You are a helpful vision analysis assistant.' },
-            { role: 'user', content: [
-              { type: 'text', text: options.prompt || 'Please analyze this image.' },
-              { type: 'image_url', image_url: { url: imageData, detail: options.detail || 'high' } }
-            ] }
-          ];
-          const requestBody = {
-            model: modelName,
-            messages,
-            temperature: agent.config.temperature || 0.7,
-            max_tokens: agent.config.maxTokens || 500,
-            top_p: agent.config.topP || 1,
-            frequency_penalty: agent.config.frequencyPenalty || 0,
-            presence_penalty: agent.config.presencePenalty || 0,
-            stream: false
-          };
-          const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${this.options.apiKeys.openai}`
-            },
-            body: JSON.stringify(requestBody)
-          });
-          const data = await response.json();
-          if (!response.ok) throw new Error(data.error?.message || 'OpenAI image analysis error');
-          this._emit('image-analysis-complete', { agentId, provider, imageData, result: data });
-          return data.choices[0].message.content;
-        } else {
-          throw new Error(`Provider ${provider} does not support image analysis`);
+        const adapter = this._getProviderCapability(provider, 'vision', 'image analysis');
+        const prompted = this._prepareAgentPrompts(agent, options);
+        const images = await this._normalizeImages(imageData);
+        // With an output schema the reply is parsed and validated JSON
+        const outputSchema = options.outputSchema || agent.config.outputSchema || null;
+        const reply = this._normalizeProviderResult(
+          await adapter.vision(prompted, images, this._createContext(provider, prompted, { options, transaction, outputSchema, signal: scope.signal }))
+        );
+        this._addUsage(transaction, reply.usage);
+        // The model the provider actually used, e.g. a vision-capable default
+        if (reply.model) transaction.model = reply.model;
+        transaction.response = reply.content;
+
+        let result = reply.content;
+        if (outputSchema) {
+          const { value, errors } = this._parseStructuredOutput(result, outputSchema);
+          if (errors.length) throw this._schemaValidationError(errors);
+          result = value;
+          transaction.output = value;
         }
+        transaction.duration = Date.now() - startTime;
+        this._recordTransaction(agent, transaction);
+
+        this._emit('image-analysis-complete', { agentId, provider, imageData, result });
+        return result;
       } catch (error) {
+        const aborted = scope.status();
+        if (aborted === 'cancelled') {
+          transaction.cancelled = true;
+        } else {
+          transaction.status = aborted || 'error';
+          transaction.error = aborted ? scope.signal.reason : error;
+        }
+        transaction.duration = Date.now() - startTime;
+        this._recordTransaction(agent, transaction);
         this._emit('image-processing-error', { agentId, error });
+        if (aborted) this._throwAborted(scope, `Image analysis with ${agentId}`);
+        if (error.code === 'SCHEMA_VALIDATION_ERROR') {
+          this._handleError(error, 'SCHEMA_VALIDATION_ERROR');
+        }
         this._handleError(error, 'IMAGE_PROCESSING_ERROR', 'Failed to analyze image');
         return null;
+      } finally {
+        scope.done();
       }
     }
 
@@ -2043,134 +6216,204 @@ class Agent {
       return this.processImage(agentId, imageData, options);
     }
 
-    /**
-     * Generate an image from a text prompt using the agent's provider (gpt-4o/DALL-E for OpenAI)
-     */
-    async generateImage(agentId, prompt, options = {}) {
-      const agent = this.agents.get(agentId);
-      if (!agent) {
-        this._handleError(new Error(`Agent not found: ${agentId}`), 'AGENT_NOT_FOUND');
-        return null;
-      }
-      const provider = agent.config.provider || this.options.defaultProvider;
-      this._emit('image-generation-start', { agentId, provider, prompt, options });
+    // OCR: resolves to { text, blocks: [{ text, confidence, boundingBox }] }
+    async extractImageText(agentId, imageData, options = {}) {
+      return this._runImageTask('text', agentId, imageData, options);
+    }
+
+    // Resolves to { objects: [{ label, confidence, boundingBox }] }, most
+    // confident first. `options.labels` limits detection to those labels.
+    async detectImageObjects(agentId, imageData, options = {}) {
+      const result = await this._runImageTask('objects', agentId, imageData, options);
+      result.objects.sort((a, b) => b.confidence - a.confidence);
+      return result;
+    }
+
+    // Resolves to { label, confidence, labels: [{ label, confidence }] }
+    // with the best label first. `options.categories` restricts the labels
+    // and `options.maxLabels` (default 5) caps how many are returned.
+    async classifyImage(agentId, imageData, options = {}) {
+      const result = await this._runImageTask('classification', agentId, imageData, options);
+      const labels = result.labels
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, options.maxLabels || 5);
+      return { label: labels[0].label, confidence: labels[0].confidence, labels };
+    }
+
+    // Run one of IMAGE_TASKS through processImage with its schema, adding
+    // any caller prompt to the task instructions, and emit the task events
+    async _runImageTask(name, agentId, imageData, options) {
+      const task = IMAGE_TASKS[name];
+      this._emit(`${task.event}-start`, { agentId, options });
       try {
-        if (provider === 'openai') {
-          // Use OpenAI DALL-E API for image generation
-          const response = await fetch('https://api.openai.com/v1/images/generations', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${this.options.apiKeys.openai}`
-            },
-            body: JSON.stringify({
-              prompt,
-              n: options.n || 1,
-              size: options.size || '1024x1024',
-              response_format: options.response_format || 'url',
-              user: agentId
-            })
-          });
-          const data = await response.json();
-          if (!response.ok) throw new Error(data.error?.message || 'OpenAI image generation error');
-          this._emit('image-generation-complete', { agentId, provider, prompt, result: data });
-          return data.data[0].url;
-        } else {
-          throw new Error(`Provider ${provider} does not support image generation`);
-        }
+        const result = await this.processImage(agentId, imageData, {
+          ...options,
+          prompt: [task.prompt(options), options.prompt].filter(Boolean).join('\n\n'),
+          outputSchema: task.schema(options)
+        });
+        this._emit(`${task.event}-complete`, { agentId, result });
+        return result;
       } catch (error) {
-        this._emit('image-generation-error', { agentId, error });
-        this._handleError(error, 'IMAGE_GENERATION_ERROR', 'Failed to generate image');
-        return null;
+        this._emit(`${task.event}-error`, { agentId, error });
+        throw error;
       }
     }
 
     /**
-     * Edit an image based on a prompt using the agent's provider (OpenAI DALL-E)
+     * Generate an image from a text prompt using the agent's provider (DALL-E
+     * or GPT Image for OpenAI, Imagen for Google). The model comes from
+     * options.model or the agent's imageModel, and the agent's imageOptions
+     * are the defaults for options. Resolves to a URL (a data URI for base64
+     * results), or an array of them when options.n > 1.
+     */
+    async generateImage(agentId, prompt, options = {}) {
+      return this._createImages('generateImage', agentId, [prompt], prompt, options);
+    }
+
+    /**
+     * Edit an image based on a prompt using the agent's provider (OpenAI DALL-E).
+     * The image and options.mask may be base64, data URIs, URLs, Blobs or
+     * Buffers; results are returned as by generateImage.
      */
     async editImage(agentId, imageData, prompt, options = {}) {
-      const agent = this.agents.get(agentId);
-      if (!agent) {
-        this._handleError(new Error(`Agent not found: ${agentId}`), 'AGENT_NOT_FOUND');
-        return null;
-      }
-      const provider = agent.config.provider || this.options.defaultProvider;
-      this._emit('image-edit-start', { agentId, provider, prompt, options });
-      try {
-        if (provider === 'openai') {
-          // imageData should be a base64 PNG string
-          const response = await fetch('https://api.openai.com/v1/images/edits', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${this.options.apiKeys.openai}`
-            },
-            body: JSON.stringify({
-              image: imageData,
-              prompt,
-              n: options.n || 1,
-              size: options.size || '1024x1024',
-              response_format: options.response_format || 'url',
-              user: agentId
-            })
-          });
-          const data = await response.json();
-          if (!response.ok) throw new Error(data.error?.message || 'OpenAI image edit error');
-          this._emit('image-edit-complete', { agentId, provider, prompt, result: data });
-          return data.data[0].url;
-        } else {
-          throw new Error(`Provider ${provider} does not support image editing`);
-        }
-      } catch (error) {
-        this._emit('image-edit-error', { agentId, error });
-        this._handleError(error, 'IMAGE_EDIT_ERROR', 'Failed to edit image');
-        return null;
-      }
+      return this._createImages('editImage', agentId, [imageData, prompt], prompt, options);
     }
 
     /**
-     * Create a variation of an image using the agent's provider (OpenAI DALL-E)
+     * Create variations of an image using the agent's provider (OpenAI DALL-E),
+     * returned as by generateImage
      */
     async variationImage(agentId, imageData, options = {}) {
+      return this._createImages('variationImage', agentId, [imageData], null, options);
+    }
+
+    // Run an IMAGE_CREATION method on the agent's provider and record it in
+    // the agent's transaction log with the prompt, revised prompts and images
+    async _createImages(method, agentId, args, prompt, options) {
+      const spec = IMAGE_CREATION[method];
       const agent = this.agents.get(agentId);
       if (!agent) {
         this._handleError(new Error(`Agent not found: ${agentId}`), 'AGENT_NOT_FOUND');
         return null;
       }
+      this._checkBudget(agent);
+
       const provider = agent.config.provider || this.options.defaultProvider;
-      this._emit('image-variation-start', { agentId, provider, options });
+      const settings = { ...agent.config.imageOptions, ...options };
+      const subject = prompt === null ? {} : { prompt };
+
+      const transaction = {
+        timestamp: new Date(),
+        type: spec.event,
+        query: prompt,
+        response: null,
+        images: [],
+        duration: 0,
+        error: null,
+        provider,
+        model: settings.model || agent.config.imageModel || null,
+        threadId: null
+      };
+
+      this._emit(`${spec.event}-start`, { agentId, provider, ...subject, options });
+      const scope = this._createAbortScope(agent, settings);
+      const startTime = Date.now();
       try {
-        if (provider === 'openai') {
-          // imageData should be a base64 PNG string
-          const response = await fetch('https://api.openai.com/v1/images/variations', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${this.options.apiKeys.openai}`
-            },
-            body: JSON.stringify({
-              image: imageData,
-              n: options.n || 1,
-              size: options.size || '1024x1024',
-              response_format: options.response_format || 'url',
-              user: agentId
-            })
-          });
-          const data = await response.json();
-          if (!response.ok) throw new Error(data.error?.message || 'OpenAI image variation error');
-          this._emit('image-variation-complete', { agentId, provider, result: data });
-          return data.data[0].url;
+        const adapter = this._getProviderCapability(provider, method, spec.description);
+        transaction.model = transaction.model || (adapter.defaultModels && adapter.defaultModels.image) || null;
+        const raw = await adapter[method](agent, ...args, this._createContext(provider, agent, { options: settings, transaction, signal: scope.signal }));
+
+        // Adapters return an image, an array of them or { images, revisedPrompts, model }
+        const { images, revisedPrompts = [], model } = typeof raw === 'string' || Array.isArray(raw)
+          ? { images: [].concat(raw) }
+          : raw || {};
+        if (!images || !images.length) throw new Error(`${provider} returned no images`);
+        // The model the provider actually used, e.g. DALL-E 2 for edits
+        if (model) transaction.model = model;
+
+        // The log keeps URLs; base64 images are too large to store
+        transaction.images = images.map(image => image.startsWith('data:')
+          ? `${image.slice(5, image.indexOf(';'))} image (${Math.round(image.length * 0.75 / 1024)} KB, not stored)`
+          : image);
+        if (revisedPrompts.length) transaction.revisedPrompts = revisedPrompts;
+        transaction.response = transaction.images.join('\n');
+        transaction.duration = Date.now() - startTime;
+        this._recordTransaction(agent, transaction);
+
+        const result = (settings.n || 1) > 1 ? images : images[0];
+        this._emit(`${spec.event}-complete`, { agentId, provider, ...subject, result, revisedPrompts });
+        return result;
+      } catch (error) {
+        const aborted = scope.status();
+        if (aborted === 'cancelled') {
+          transaction.cancelled = true;
         } else {
-          throw new Error(`Provider ${provider} does not support image variation`);
+          transaction.status = aborted || 'error';
+          transaction.error = aborted ? scope.signal.reason : error;
         }
-      } catch (error) {
-        this._emit('image-variation-error', { agentId, error });
-        this._handleError(error, 'IMAGE_VARIATION_ERROR', 'Failed to create image variation');
+        transaction.duration = Date.now() - startTime;
+        this._recordTransaction(agent, transaction);
+        this._emit(`${spec.event}-error`, { agentId, error });
+        if (aborted) this._throwAborted(scope, `Request to ${agentId} for ${spec.description}`);
+        this._handleError(error, spec.code, spec.failure);
         return null;
+      } finally {
+        scope.done();
+      }
+    }
+
+    // Image generations, edits and variations of an agent from its
+    // transaction log, oldest first
+    getImageHistory(agentId) {
+      const types = Object.values(IMAGE_CREATION).map(spec => spec.event);
+      return this.getAgentHistory(agentId).filter(transaction => types.includes(transaction.type));
+    }
+
+    // Convert an image to a Blob: a result of generateImage, editImage or
+    // variationImage (URL or data URI), or any input processImage accepts.
+    // URLs are downloaded like requests to options.provider (by default the
+    // default provider).
+    async imageToBlob(image, options = {}) {
+      const provider = options.provider || this.options.defaultProvider;
+      return this._imageToBlob(image, this._createContext(provider, null, { options, signal: options.signal }));
+    }
+
+    // imageToBlob with the context of the call it belongs to
+    async _imageToBlob(image, context) {
+      if (typeof Blob !== 'undefined' && image instanceof Blob) return image;
+      const [normalized] = await this._normalizeImages(image);
+      const { mimeType, data } = await this._inlineImage(normalized, context);
+      return new Blob([fromBase64(data)], { type: mimeType });
+    }
+
+    // Like imageToBlob, as a File (default name image.<extension>)
+    async imageToFile(image, filename, options = {}) {
+      const blob = await this.imageToBlob(image, options);
+      // Node.js 18 only has File in the buffer module
+      const FileClass = typeof File !== 'undefined' ? File : require('buffer').File;
+      return new FileClass([blob], filename || `image.${blob.type.split('/')[1] || 'png'}`, { type: blob.type });
+    }
+
+    // Get a provider adapter that implements the given method, or throw
+    _getProviderCapability(provider, method, description) {
+      const adapter = this.providers[provider];
+      if (!adapter) {
+        throw new Error(`Provider not available: ${provider}`);
       }
+      if (typeof adapter[method] !== 'function') {
+        throw new Error(`Provider ${provider} does not support ${description}`);
+      }
+      return adapter;
     }
   }
 
+  Worksona.Agent = Agent;
+  Worksona.Workflow = Workflow;
+  Worksona.storageAdapters = STORAGE_ADAPTERS;
+  Worksona.keyProviders = KEY_PROVIDERS;
+  Worksona.agentSchema = AGENT_SCHEMA;
+  Worksona.agentSchemaVersion = AGENT_SCHEMA_VERSION;
+
   // Export to global scope
   if (typeof module !== 'undefined' && module.exports) {
     module.exports = Worksona;
@@ -2178,4 +6421,4 @@ class Agent {
     global.Worksona = Worksona;
   }
 
-})(typeof window !== 'undefined' ? window : global);
+})(typeof globalThis !== 'undefined' ? globalThis : typeof window !== 'undefined' ? window : global);
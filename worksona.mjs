@@ -0,0 +1,15 @@
+/**
+ * Worksona.js - ES module entry point
+ *
+ * worksona.js registers itself as module.exports under Node.js and as a
+ * global in browsers and workers; this module re-exports it either way.
+ *
+ *   import Worksona from './worksona.mjs';
+ */
+
+import * as worksona from './worksona.js';
+
+const Worksona = (worksona && worksona.default) || globalThis.Worksona;
+
+export default Worksona;
+export { Worksona };